@@ -0,0 +1,330 @@
+/**
+ * Layer position handles and bezier path editing.
+ * While editing is on, an overlay canvas above the preview shows each layer's
+ * base center as a draggable handle plus the path its motion traces over one
+ * loop. Layers with the 'path' motion also show their bezier nodes and
+ * handles, and a new path can be drawn point by point. The overlay is a
+ * separate element, so it never reaches an export.
+ */
+
+import { renderer, MOTION_TYPES, PATH_EXTENT } from './aurora.js';
+
+const PATH_SAMPLES = 120;
+const HANDLE_RADIUS = 7;
+const HIT_RADIUS = 12;
+const MIN_PATH_NODES = 3;
+
+const overlay = document.getElementById('anchor-overlay');
+const ctx = overlay.getContext('2d');
+const toggleBtn = document.getElementById('transport-anchors');
+
+let editing = false;
+let drag = null; // { kind: 'anchor' | 'node' | 'in' | 'out', id, index }
+let drawing = null; // { id, points: [{ x, y }] in pixels, hover }
+
+function resizeOverlay() {
+  const dpr = window.devicePixelRatio || 1;
+  overlay.width = overlay.clientWidth * dpr;
+  overlay.height = overlay.clientHeight * dpr;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+function pointerPos(e) {
+  const rect = overlay.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+/** Clamp a pointer position to a normalized anchor inside the scene. */
+function pointerAnchor(e) {
+  const { width, height } = renderer.previewSize();
+  const { x, y } = pointerPos(e);
+  return {
+    x: Math.min(1, Math.max(0, x / width)),
+    y: Math.min(1, Math.max(0, y / height)),
+  };
+}
+
+/** Round a path offset, clamped to the extent scene files accept. */
+function roundOffset(v) {
+  return Math.round(Math.min(PATH_EXTENT, Math.max(-PATH_EXTENT, v)) * 10000) / 10000;
+}
+
+/** Screen positions of a path's nodes and handles for a layer. */
+function pathGeometry(layer) {
+  const { width, height } = renderer.previewSize();
+  const { baseX, baseY } = renderer.layerPlacementAt(layer.id, renderer.currentTime);
+  return layer.path.map(node => ({
+    node: { x: baseX + node.x * width, y: baseY + node.y * height },
+    in: { x: baseX + node.inX * width, y: baseY + node.inY * height },
+    out: { x: baseX + node.outX * width, y: baseY + node.outY * height },
+  }));
+}
+
+function hasEditablePath(layer) {
+  return layer.motion === MOTION_TYPES.path && layer.path?.length;
+}
+
+/** Topmost handle under the pointer: path handles first, then anchors. */
+function hitTest(e) {
+  const { x, y } = pointerPos(e);
+  const near = p => Math.hypot(x - p.x, y - p.y) <= HIT_RADIUS;
+  const layers = renderer.settings.layers;
+
+  for (let i = layers.length - 1; i >= 0; i--) {
+    if (!hasEditablePath(layers[i])) continue;
+    const geometry = pathGeometry(layers[i]);
+    for (let k = 0; k < geometry.length; k++) {
+      for (const kind of ['out', 'in', 'node']) {
+        if (near(geometry[k][kind])) return { kind, id: layers[i].id, index: k };
+      }
+    }
+  }
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const { baseX, baseY } = renderer.layerPlacementAt(layers[i].id, renderer.currentTime);
+    if (near({ x: baseX, y: baseY })) return { kind: 'anchor', id: layers[i].id };
+  }
+  return null;
+}
+
+// ── Drawing ──
+
+function drawLayerPath(layer) {
+  const loopMs = renderer.settings.loopDuration || 10000;
+  ctx.beginPath();
+  for (let k = 0; k <= PATH_SAMPLES; k++) {
+    const { cx, cy } = renderer.layerPlacementAt(layer.id, (k / PATH_SAMPLES) * loopMs);
+    if (k === 0) ctx.moveTo(cx, cy);
+    else ctx.lineTo(cx, cy);
+  }
+  ctx.strokeStyle = layer.color;
+  ctx.globalAlpha = 0.55;
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([4, 4]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.globalAlpha = 1;
+}
+
+function drawBezierHandles(layer) {
+  ctx.lineWidth = 1;
+  for (const g of pathGeometry(layer)) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+    ctx.beginPath();
+    ctx.moveTo(g.in.x, g.in.y);
+    ctx.lineTo(g.out.x, g.out.y);
+    ctx.stroke();
+
+    for (const p of [g.in, g.out]) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.fill();
+    }
+    ctx.fillStyle = layer.color;
+    ctx.fillRect(g.node.x - 4, g.node.y - 4, 8, 8);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.strokeRect(g.node.x - 4, g.node.y - 4, 8, 8);
+  }
+}
+
+function drawPendingPath() {
+  const { points, hover } = drawing;
+  const layer = renderer.settings.layers.find(l => l.id === drawing.id);
+  ctx.strokeStyle = layer?.color ?? '#fff';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  points.forEach((p, k) => (k === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  if (hover && points.length) ctx.lineTo(hover.x, hover.y);
+  ctx.stroke();
+
+  points.forEach((p, k) => {
+    ctx.beginPath();
+    // The first point grows once the path can be closed on it
+    ctx.arc(p.x, p.y, k === 0 && points.length >= MIN_PATH_NODES ? HANDLE_RADIUS : 3.5, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fill();
+  });
+}
+
+function drawOverlay(time) {
+  ctx.clearRect(0, 0, overlay.clientWidth, overlay.clientHeight);
+  if (!editing) return;
+
+  for (const layer of renderer.settings.layers) {
+    drawLayerPath(layer);
+    if (hasEditablePath(layer) && !drawing) drawBezierHandles(layer);
+
+    const { baseX, baseY, cx, cy } = renderer.layerPlacementAt(layer.id, time);
+
+    // Current position on the path
+    ctx.beginPath();
+    ctx.arc(cx, cy, 3, 0, Math.PI * 2);
+    ctx.fillStyle = layer.color;
+    ctx.fill();
+
+    // Anchor handle: filled when placed by hand, hollow when automatic
+    ctx.beginPath();
+    ctx.arc(baseX, baseY, HANDLE_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = layer.anchor ? layer.color : 'rgba(0, 0, 0, 0.35)';
+    ctx.fill();
+    ctx.lineWidth = drag?.kind === 'anchor' && drag.id === layer.id ? 2.5 : 1.5;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.stroke();
+  }
+
+  if (drawing) drawPendingPath();
+}
+
+/** Show or hide the position handles. */
+export function toggleAnchorEditing(on = !editing) {
+  editing = on;
+  if (!editing) drawing = null;
+  overlay.classList.toggle('editing', editing);
+  toggleBtn.classList.toggle('active', editing);
+  if (editing) resizeOverlay();
+  drawOverlay(renderer.currentTime);
+}
+
+// ── Path drawing ──
+
+/**
+ * Let the user draw a new closed path for a layer: click to place points,
+ * then click the first point, double-click or press Enter to close it.
+ * Escape cancels.
+ */
+export function startPathDrawing(id) {
+  toggleAnchorEditing(true);
+  drawing = { id, points: [], hover: null };
+}
+
+/**
+ * Turn the drawn points into smooth bezier nodes (Catmull-Rom tangents),
+ * stored relative to the layer's anchor.
+ */
+function finishPathDrawing() {
+  const { id, points } = drawing;
+  drawing = null;
+  if (points.length < MIN_PATH_NODES) return;
+
+  const { width, height } = renderer.previewSize();
+  const { baseX, baseY } = renderer.layerPlacementAt(id, renderer.currentTime);
+  const offsets = points.map(p => ({ x: (p.x - baseX) / width, y: (p.y - baseY) / height }));
+  const n = offsets.length;
+  const path = offsets.map((p, i) => {
+    const prev = offsets[(i - 1 + n) % n];
+    const next = offsets[(i + 1) % n];
+    const tx = (next.x - prev.x) / 6;
+    const ty = (next.y - prev.y) / 6;
+    return {
+      x: roundOffset(p.x),
+      y: roundOffset(p.y),
+      inX: roundOffset(p.x - tx),
+      inY: roundOffset(p.y - ty),
+      outX: roundOffset(p.x + tx),
+      outY: roundOffset(p.y + ty),
+    };
+  });
+  renderer.updateLayer(id, { path });
+}
+
+function addDrawingPoint(e) {
+  const p = pointerPos(e);
+  const { points } = drawing;
+  if (points.length >= MIN_PATH_NODES && Math.hypot(p.x - points[0].x, p.y - points[0].y) <= HIT_RADIUS) {
+    finishPathDrawing();
+    return;
+  }
+  // The second click of a double-click lands on the point just placed
+  const last = points[points.length - 1];
+  if (last && Math.hypot(p.x - last.x, p.y - last.y) < 4) return;
+  points.push(p);
+}
+
+// ── Dragging ──
+
+function dragTo(e) {
+  if (drag.kind === 'anchor') {
+    renderer.updateLayer(drag.id, { anchor: pointerAnchor(e) });
+    return;
+  }
+
+  const layer = renderer.settings.layers.find(l => l.id === drag.id);
+  const { width, height } = renderer.previewSize();
+  const { baseX, baseY } = renderer.layerPlacementAt(drag.id, renderer.currentTime);
+  const { x, y } = pointerPos(e);
+  const ox = roundOffset((x - baseX) / width);
+  const oy = roundOffset((y - baseY) / height);
+  const node = { ...layer.path[drag.index] };
+
+  if (drag.kind === 'node') {
+    // Handles travel with their node
+    const dx = ox - node.x;
+    const dy = oy - node.y;
+    Object.assign(node, {
+      x: ox, y: oy,
+      inX: roundOffset(node.inX + dx), inY: roundOffset(node.inY + dy),
+      outX: roundOffset(node.outX + dx), outY: roundOffset(node.outY + dy),
+    });
+  } else {
+    // Keep the curve smooth through the node by mirroring the other handle
+    const [own, other] = drag.kind === 'out' ? ['out', 'in'] : ['in', 'out'];
+    node[`${own}X`] = ox;
+    node[`${own}Y`] = oy;
+    node[`${other}X`] = roundOffset(2 * node.x - ox);
+    node[`${other}Y`] = roundOffset(2 * node.y - oy);
+  }
+
+  const path = [...layer.path];
+  path[drag.index] = node;
+  renderer.updateLayer(drag.id, { path });
+}
+
+overlay.addEventListener('pointerdown', (e) => {
+  if (drawing) {
+    addDrawingPoint(e);
+    return;
+  }
+  drag = hitTest(e);
+  if (!drag) return;
+  overlay.setPointerCapture(e.pointerId);
+  dragTo(e);
+});
+
+overlay.addEventListener('pointermove', (e) => {
+  if (drawing) {
+    drawing.hover = pointerPos(e);
+  } else if (drag) {
+    dragTo(e);
+  } else {
+    overlay.style.cursor = hitTest(e) ? 'grab' : '';
+  }
+});
+
+overlay.addEventListener('pointerup', () => {
+  drag = null;
+});
+
+// Double-click closes a path being drawn, or returns a layer to its automatic position
+overlay.addEventListener('dblclick', (e) => {
+  if (drawing) {
+    finishPathDrawing();
+    return;
+  }
+  const hit = hitTest(e);
+  if (hit?.kind === 'anchor') renderer.updateLayer(hit.id, { anchor: null });
+});
+
+document.addEventListener('keydown', (e) => {
+  if (!drawing || (e.key !== 'Enter' && e.key !== 'Escape')) return;
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.key === 'Enter') finishPathDrawing();
+  else drawing = null;
+}, true);
+
+toggleBtn.addEventListener('click', () => toggleAnchorEditing());
+window.addEventListener('resize', () => {
+  if (editing) resizeOverlay();
+});
+
+renderer.onFrame(drawOverlay);
@@ -2,8 +2,16 @@
  * Background rendering engine.
  * Draws soft gradient blobs onto a Canvas, animated by a time parameter.
  * All rendering is deterministic given a time value — this enables frame-perfect export.
+ * Frames are drawn with Canvas 2D, or on the GPU by the WebGL2 backend in
+ * webgl.js when it is selected and available. Text and image overlays
+ * (overlays.js) go on top, unblurred.
  */
 
+import { WebGLBackend } from './webgl.js';
+import { hasPost, applyPost } from './post.js';
+import { createOverlay, drawOverlays } from './overlays.js';
+import { mediaFrame, prepareMedia, syncPreviewMedia, releaseUnusedMedia } from './media.js';
+
 const DEFAULT_LAYER_COLORS = [
   '#7c7cff', // indigo
   '#3b82f6', // blue
@@ -13,20 +21,9 @@ const DEFAULT_LAYER_COLORS = [
   '#34d399', // emerald
 ];
 
-// Each layer has a unique orbit phase and direction so they feel organic.
-// period is gone — cycle count is now controlled per-layer via layerCycles.
-const LAYER_ORBITS = [
-  { phaseX: 0.0, phaseY: 0.3, dirX: 1, dirY: 1 },
-  { phaseX: 0.5, phaseY: 0.8, dirX: -1, dirY: 1 },
-  { phaseX: 0.2, phaseY: 0.6, dirX: 1, dirY: -1 },
-  { phaseX: 0.7, phaseY: 0.1, dirX: -1, dirY: -1 },
-  { phaseX: 0.4, phaseY: 0.9, dirX: 1, dirY: -1 },
-  { phaseX: 0.9, phaseY: 0.4, dirX: -1, dirY: 1 },
-];
-
 // ── Shape templates ──
 
-/** Generate a seeded random number (deterministic per layer index). */
+/** Generate a seeded random number (deterministic per layer seed). */
 function seededRandom(seed) {
   let s = seed;
   return () => {
@@ -36,30 +33,63 @@ function seededRandom(seed) {
 }
 
 /**
- * Build a random smooth blob path for a given layer index.
- * Returns an array of { angle, radius } control points.
- * Deterministic per index so it stays consistent across frames.
+ * Build a random smooth blob path for a given blob seed.
+ * Returns an array of { angle, radius, phase1, phase2 } control points;
+ * the phases offset each vertex's morphing wobble.
+ * Deterministic per seed so it stays consistent across frames.
  */
-function buildRandomBlobPoints(layerIndex) {
-  const rng = seededRandom(layerIndex * 7919 + 1301);
+function buildRandomBlobPoints(seed) {
+  const rng = seededRandom(seed * 7919 + 1301);
+  // Separate stream so the outline of a seed matches the one before morphing existed
+  const phaseRng = seededRandom(seed * 6211 + 503);
   const pointCount = 5 + Math.floor(rng() * 4); // 5–8 vertices
   const points = [];
   for (let j = 0; j < pointCount; j++) {
     const angle = (j / pointCount) * Math.PI * 2;
     const radius = 0.6 + rng() * 0.4; // 0.6–1.0 of blobRadius
-    points.push({ angle, radius });
+    points.push({ angle, radius, phase1: phaseRng(), phase2: phaseRng() });
   }
   return points;
 }
 
-// Pre-generate blob points for up to 6 layers
-const BLOB_POINTS = Array.from({ length: 6 }, (_, i) => buildRandomBlobPoints(i));
+// Blob outlines are built on first use and cached per seed
+const blobPointsCache = new Map();
+
+function blobPoints(seed) {
+  if (!blobPointsCache.has(seed)) blobPointsCache.set(seed, buildRandomBlobPoints(seed));
+  return blobPointsCache.get(seed);
+}
+
+/**
+ * Radius of a blob vertex at loop phase p (0–1). blob.speed is a whole
+ * number of wobbles per loop, so the outline at p = 1 equals p = 0.
+ */
+function morphedRadius(point, blob, p) {
+  const wobble = 0.7 * Math.sin((blob.speed * p + point.phase1) * Math.PI * 2)
+    + 0.3 * Math.sin((blob.speed * 2 * p + point.phase2) * Math.PI * 2);
+  return Math.max(0.2, point.radius + blob.amplitude * wobble);
+}
+
+/**
+ * Orbit phase and direction for a layer seed, so every layer moves
+ * differently. Cycle count is controlled per layer via layer.cycles.
+ */
+function generateOrbit(seed) {
+  const rng = seededRandom(seed * 4813 + 97);
+  return {
+    phaseX: Math.round(rng() * 100) / 100,
+    phaseY: Math.round(rng() * 100) / 100,
+    dirX: rng() < 0.5 ? -1 : 1,
+    dirY: rng() < 0.5 ? -1 : 1,
+  };
+}
 
 const SHAPE_TYPES = {
   circle: 'circle',
   ellipse: 'ellipse',
   ring: 'ring',
   blob: 'blob',
+  image: 'image', // the layer's photo or video clip, see media.js
 };
 
 const MOTION_TYPES = {
@@ -68,6 +98,8 @@ const MOTION_TYPES = {
   drift: 'drift',
   breathe: 'breathe',
   wave: 'wave',
+  path: 'path',
+  flow: 'flow',
 };
 
 // ── Motion functions ──
@@ -115,224 +147,1031 @@ function getMotionOffset(type, t, orbit, range) {
   }
 }
 
+// ── Bezier paths ──
+// layer.path is a closed cubic bezier curve: nodes { x, y, inX, inY, outX, outY }
+// given as offsets from the layer anchor in fractions of the scene width and
+// height, so a path scales with the canvas. Segment i runs from node i along
+// its out handle to node i + 1 along that node's in handle.
+
+const PATH_SEGMENT_SAMPLES = 32;
+const PATH_EXTENT = 2; // largest node or handle offset either way, so paths can run well past the edges
+
+// Arc-length tables, cached per path array (edits always create a new array)
+const pathTables = new WeakMap();
+
+function bezierPoint(from, to, u) {
+  const v = 1 - u;
+  const a = v * v * v;
+  const b = 3 * v * v * u;
+  const c = 3 * v * u * u;
+  const d = u * u * u;
+  return {
+    x: a * from.x + b * from.outX + c * to.inX + d * to.x,
+    y: a * from.y + b * from.outY + c * to.inY + d * to.y,
+  };
+}
+
+function pathTable(path, w, h) {
+  const cached = pathTables.get(path);
+  if (cached && cached.w === w && cached.h === h) return cached;
+
+  const points = [];
+  for (let i = 0; i < path.length; i++) {
+    const from = path[i];
+    const to = path[(i + 1) % path.length];
+    for (let k = 0; k < PATH_SEGMENT_SAMPLES; k++) {
+      const p = bezierPoint(from, to, k / PATH_SEGMENT_SAMPLES);
+      points.push({ x: p.x * w, y: p.y * h });
+    }
+  }
+  points.push(points[0]);
+
+  // Lengths are measured in pixels, so speed is constant on screen
+  const lengths = [0];
+  for (let k = 1; k < points.length; k++) {
+    lengths.push(lengths[k - 1] + Math.hypot(points[k].x - points[k - 1].x, points[k].y - points[k - 1].y));
+  }
+  const table = { w, h, points, lengths, total: lengths[lengths.length - 1] };
+  pathTables.set(path, table);
+  return table;
+}
+
+/** Offset along a path at loop parameter t; one lap per whole t, at constant speed. */
+function motionPath(t, path, w, h) {
+  if (!path || path.length < 2) return { offsetX: 0, offsetY: 0 };
+  const { points, lengths, total } = pathTable(path, w, h);
+  const target = (t - Math.floor(t)) * total;
+
+  // Binary search for the sample segment containing target
+  let lo = 0;
+  let hi = lengths.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (lengths[mid] <= target) lo = mid;
+    else hi = mid;
+  }
+  const span = lengths[hi] - lengths[lo] || 1;
+  const f = (target - lengths[lo]) / span;
+  return {
+    offsetX: points[lo].x + (points[hi].x - points[lo].x) * f,
+    offsetY: points[lo].y + (points[hi].y - points[lo].y) * f,
+  };
+}
+
+// ── Flow noise ──
+// Seeded 3D gradient noise. The flow motion walks a circle through the first
+// two noise dimensions once per cycle, so the motion returns exactly to its
+// start; the third dimension separates the x and y channels.
+
+const noisePermutations = new Map();
+
+function noisePermutation(seed) {
+  let perm = noisePermutations.get(seed);
+  if (!perm) {
+    const rng = seededRandom(seed * 2654 + 7);
+    const p = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [p[i], p[j]] = [p[j], p[i]];
+    }
+    perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+    noisePermutations.set(seed, perm);
+  }
+  return perm;
+}
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function grad(hash, x, y, z) {
+  const h = hash & 15;
+  const u = h < 8 ? x : y;
+  const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+  return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
+}
+
+function noise3(perm, x, y, z) {
+  const X = Math.floor(x) & 255;
+  const Y = Math.floor(y) & 255;
+  const Z = Math.floor(z) & 255;
+  x -= Math.floor(x);
+  y -= Math.floor(y);
+  z -= Math.floor(z);
+  const u = fade(x);
+  const v = fade(y);
+  const w = fade(z);
+  const A = perm[X] + Y, AA = perm[A] + Z, AB = perm[A + 1] + Z;
+  const B = perm[X + 1] + Y, BA = perm[B] + Z, BB = perm[B + 1] + Z;
+  const lerp = (a, b, f) => a + (b - a) * f;
+  return lerp(
+    lerp(
+      lerp(grad(perm[AA], x, y, z), grad(perm[BA], x - 1, y, z), u),
+      lerp(grad(perm[AB], x, y - 1, z), grad(perm[BB], x - 1, y - 1, z), u), v),
+    lerp(
+      lerp(grad(perm[AA + 1], x, y, z - 1), grad(perm[BA + 1], x - 1, y, z - 1), u),
+      lerp(grad(perm[AB + 1], x, y - 1, z - 1), grad(perm[BB + 1], x - 1, y - 1, z - 1), u), v),
+    w);
+}
+
+/** Fractal noise on a circle of the given radius; periodic in t with period 1. */
+function loopingNoise(perm, t, radius, octaves, channel) {
+  const angle = t * Math.PI * 2;
+  let sum = 0;
+  let amp = 1;
+  let norm = 0;
+  let r = radius;
+  for (let o = 0; o < octaves; o++) {
+    // Offsets keep the circles of each octave off the lattice origin
+    sum += amp * noise3(perm, 17.3 + o * 31.7 + Math.cos(angle) * r, 41.9 + Math.sin(angle) * r, channel * 57.1 + o * 13.3);
+    norm += amp;
+    amp *= 0.5;
+    r *= 2;
+  }
+  return sum / norm;
+}
+
+/** Organic wandering that still loops: flow = { seed, frequency, octaves }. */
+function motionFlow(t, flow, range) {
+  const perm = noisePermutation(flow.seed);
+  // Gradient noise rarely leaves ±0.6, so stretch it to use the full range
+  return {
+    offsetX: loopingNoise(perm, t, flow.frequency, flow.octaves, 0) * range * 1.6,
+    offsetY: loopingNoise(perm, t, flow.frequency, flow.octaves, 1) * range * 1.6,
+  };
+}
+
+// ── Gradients ──
+// layer.gradient = { stops: [{ pos, color, alpha }], softness } describes the
+// radial fill from the shape's center (pos 0) to its edge (pos 1). A stop
+// color of null follows the layer color, so color keyframes keep working.
+// Softness 0.5 leaves the stops where they are; higher values pull them
+// toward the center for a longer fade, lower values push them outward.
+
+const MIN_GRADIENT_STOPS = 2;
+const MAX_GRADIENT_STOPS = 5;
+
+function createDefaultGradient() {
+  // Matches the single-color falloff shapes used before gradients existed
+  return {
+    stops: [
+      { pos: 0, color: null, alpha: 1 },
+      { pos: 0.55, color: null, alpha: 0.25 },
+      { pos: 1, color: null, alpha: 0 },
+    ],
+    softness: 0.5,
+  };
+}
+
+function hexToRgb(hex) {
+  return [0, 1, 2].map(i => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16));
+}
+
+/**
+ * Resolved gradient of a layer as sorted { offset, rgb, alpha } stops with
+ * softness applied; rgb holds the 0–255 channels.
+ */
+function layerGradientValues(layer) {
+  const { stops, softness } = layer.gradient;
+  const exponent = 2 ** ((softness - 0.5) * 2);
+  return [...stops]
+    .sort((a, b) => a.pos - b.pos)
+    .map(stop => ({
+      offset: stop.pos ** exponent,
+      rgb: hexToRgb(stop.color ?? layer.color),
+      alpha: stop.alpha,
+    }));
+}
+
+/**
+ * Resolved gradient of a layer as sorted { offset, color } stops with
+ * softness applied; color is a CSS rgba() string.
+ */
+function layerGradientStops(layer) {
+  return layerGradientValues(layer).map(({ offset, rgb, alpha }) => ({
+    offset,
+    color: `rgba(${rgb.join(', ')}, ${alpha})`,
+  }));
+}
+
+/** Mirror stops so the gradient runs from the middle of a ring's band out to both edges. */
+function ringStops(stops) {
+  const inward = stops.map(stop => ({ ...stop, offset: 0.5 - stop.offset / 2 })).reverse();
+  const outward = stops.map(stop => ({ ...stop, offset: 0.5 + stop.offset / 2 }));
+  return [...inward, ...outward];
+}
+
+function fillStops(grad, stops) {
+  for (const { offset, color } of stops) grad.addColorStop(offset, color);
+}
+
 // ── Shape drawing ──
 
-function drawCircle(c, cx, cy, blobRadius, color, opacity) {
+function drawCircle(c, cx, cy, blobRadius, stops, opacity) {
   c.save();
   c.globalAlpha = opacity;
   const grad = c.createRadialGradient(cx, cy, 0, cx, cy, blobRadius);
-  grad.addColorStop(0, color);
-  grad.addColorStop(0.55, color + '40');
-  grad.addColorStop(1, 'transparent');
+  fillStops(grad, stops);
   c.fillStyle = grad;
   c.fillRect(cx - blobRadius, cy - blobRadius, blobRadius * 2, blobRadius * 2);
   c.restore();
 }
 
-function drawEllipse(c, cx, cy, blobRadius, color, opacity, layerIndex) {
-  const aspect = 0.5 + (layerIndex % 3) * 0.25; // 0.5, 0.75, 1.0 alternating
+/** Vertical squash of an ellipse layer: 0.5, 0.75, 1.0 alternating over seeds. */
+function ellipseAspect(seed) {
+  return 0.5 + (seed % 3) * 0.25;
+}
+
+// Inner edge of a ring's band, as a fraction of its radius
+const RING_INNER = 0.35;
+
+function drawEllipse(c, cx, cy, blobRadius, stops, opacity, seed) {
+  const aspect = ellipseAspect(seed);
   c.save();
   c.globalAlpha = opacity;
   c.translate(cx, cy);
   c.scale(1, aspect);
   const grad = c.createRadialGradient(0, 0, 0, 0, 0, blobRadius);
-  grad.addColorStop(0, color);
-  grad.addColorStop(0.55, color + '40');
-  grad.addColorStop(1, 'transparent');
+  fillStops(grad, stops);
   c.fillStyle = grad;
   c.fillRect(-blobRadius, -blobRadius, blobRadius * 2, blobRadius * 2);
   c.restore();
 }
 
-function drawRing(c, cx, cy, blobRadius, color, opacity) {
+function drawRing(c, cx, cy, blobRadius, stops, opacity) {
   c.save();
   c.globalAlpha = opacity;
-  const innerR = blobRadius * 0.35;
+  const innerR = blobRadius * RING_INNER;
   const grad = c.createRadialGradient(cx, cy, innerR, cx, cy, blobRadius);
-  grad.addColorStop(0, 'transparent');
-  grad.addColorStop(0.2, color + '60');
-  grad.addColorStop(0.5, color);
-  grad.addColorStop(0.75, color + '40');
-  grad.addColorStop(1, 'transparent');
+  fillStops(grad, ringStops(stops));
   c.fillStyle = grad;
   c.fillRect(cx - blobRadius, cy - blobRadius, blobRadius * 2, blobRadius * 2);
   c.restore();
 }
 
-function drawBlob(c, cx, cy, blobRadius, color, opacity, layerIndex) {
-  const points = BLOB_POINTS[layerIndex % BLOB_POINTS.length];
+/**
+ * Control points of a blob outline at loop phase, as [x, y] pairs around
+ * (cx, cy). The outline runs through the midpoints between consecutive
+ * points, with each point as the quadratic control in between.
+ */
+function blobOutline(blob, cx, cy, blobRadius, phase) {
+  return blobPoints(blob.seed).map(pt => {
+    const r = morphedRadius(pt, blob, phase) * blobRadius;
+    return [cx + Math.cos(pt.angle) * r, cy + Math.sin(pt.angle) * r];
+  });
+}
+
+function drawBlob(c, cx, cy, blobRadius, stops, opacity, blob, phase) {
+  const points = blobOutline(blob, cx, cy, blobRadius, phase);
   c.save();
   c.globalAlpha = opacity;
 
-  // Build smooth closed path using quadratic curves
+  // Build smooth closed path using quadratic curves, starting at the midpoint of the last edge
   c.beginPath();
   const len = points.length;
+  const [xp, yp] = points[len - 1];
+  c.moveTo((xp + points[0][0]) / 2, (yp + points[0][1]) / 2);
   for (let j = 0; j < len; j++) {
-    const curr = points[j];
-    const next = points[(j + 1) % len];
-    const r1 = curr.radius * blobRadius;
-    const r2 = next.radius * blobRadius;
-    const x1 = cx + Math.cos(curr.angle) * r1;
-    const y1 = cy + Math.sin(curr.angle) * r1;
-    const x2 = cx + Math.cos(next.angle) * r2;
-    const y2 = cy + Math.sin(next.angle) * r2;
-    const mx = (x1 + x2) / 2;
-    const my = (y1 + y2) / 2;
-    if (j === 0) {
-      // Move to midpoint of first edge
-      const prev = points[len - 1];
-      const rp = prev.radius * blobRadius;
-      const xp = cx + Math.cos(prev.angle) * rp;
-      const yp = cy + Math.sin(prev.angle) * rp;
-      c.moveTo((xp + x1) / 2, (yp + y1) / 2);
-    }
-    c.quadraticCurveTo(x1, y1, mx, my);
+    const [x1, y1] = points[j];
+    const [x2, y2] = points[(j + 1) % len];
+    c.quadraticCurveTo(x1, y1, (x1 + x2) / 2, (y1 + y2) / 2);
   }
   c.closePath();
 
   // Fill with radial gradient
   const grad = c.createRadialGradient(cx, cy, 0, cx, cy, blobRadius);
-  grad.addColorStop(0, color);
-  grad.addColorStop(0.6, color + '50');
-  grad.addColorStop(1, 'transparent');
+  fillStops(grad, stops);
   c.fillStyle = grad;
   c.fill();
   c.restore();
 }
 
-function drawShape(type, c, cx, cy, blobRadius, color, opacity, layerIndex) {
-  switch (type) {
+/**
+ * Half width and half height of an image layer's media: its longest side
+ * spans blobRadius, about the visible core of a gradient shape.
+ */
+function mediaExtent(frame, blobRadius) {
+  const fit = blobRadius / Math.max(frame.width, frame.height);
+  return { halfWidth: (frame.width * fit) / 2, halfHeight: (frame.height * fit) / 2 };
+}
+
+/** Draw a layer's image or current video frame; media still loading is skipped. */
+function drawMedia(c, cx, cy, blobRadius, opacity, media) {
+  const frame = mediaFrame(media);
+  if (!frame) return;
+  const { halfWidth, halfHeight } = mediaExtent(frame, blobRadius);
+  c.save();
+  c.globalAlpha = opacity;
+  c.drawImage(frame.element, cx - halfWidth, cy - halfHeight, halfWidth * 2, halfHeight * 2);
+  c.restore();
+}
+
+/** Draw a layer's shape centered at (cx, cy); phase is the loop phase (0–1). */
+function drawShape(layer, c, cx, cy, blobRadius, phase) {
+  const stops = layerGradientStops(layer);
+  const { opacity } = layer;
+  switch (layer.shape) {
     case SHAPE_TYPES.ellipse:
-      drawEllipse(c, cx, cy, blobRadius, color, opacity, layerIndex);
+      drawEllipse(c, cx, cy, blobRadius, stops, opacity, layer.seed);
       break;
     case SHAPE_TYPES.ring:
-      drawRing(c, cx, cy, blobRadius, color, opacity);
+      drawRing(c, cx, cy, blobRadius, stops, opacity);
       break;
     case SHAPE_TYPES.blob:
-      drawBlob(c, cx, cy, blobRadius, color, opacity, layerIndex);
+      drawBlob(c, cx, cy, blobRadius, stops, opacity, layer.blob, phase);
+      break;
+    case SHAPE_TYPES.image:
+      drawMedia(c, cx, cy, blobRadius, opacity, layer.media);
       break;
     default:
-      drawCircle(c, cx, cy, blobRadius, color, opacity);
+      drawCircle(c, cx, cy, blobRadius, stops, opacity);
+      break;
+  }
+}
+
+/**
+ * What drawShape() paints, as plain geometry for the WebGL backend: a radial
+ * gradient around (cx, cy) from innerRadius to radius with y divided by
+ * aspect, clipped to the blob outline when there is one. For the image shape,
+ * media is the element to draw over the radius × radius·aspect box instead,
+ * or null (nothing to draw) while it loads.
+ */
+function shapeGeometry(layer, cx, cy, blobRadius, phase) {
+  const geometry = {
+    cx, cy,
+    radius: blobRadius,
+    innerRadius: 0,
+    aspect: 1,
+    stops: layerGradientValues(layer),
+    opacity: layer.opacity,
+    outline: null,
+    media: null,
+  };
+  switch (layer.shape) {
+    case SHAPE_TYPES.ellipse:
+      geometry.aspect = ellipseAspect(layer.seed);
+      break;
+    case SHAPE_TYPES.ring:
+      geometry.innerRadius = blobRadius * RING_INNER;
+      geometry.stops = ringStops(geometry.stops);
       break;
+    case SHAPE_TYPES.blob:
+      geometry.outline = blobOutline(layer.blob, cx, cy, blobRadius, phase);
+      break;
+    case SHAPE_TYPES.image: {
+      const frame = mediaFrame(layer.media);
+      if (!frame) {
+        geometry.opacity = 0;
+        break;
+      }
+      const { halfWidth, halfHeight } = mediaExtent(frame, blobRadius);
+      geometry.radius = halfWidth;
+      geometry.aspect = halfHeight / halfWidth;
+      geometry.media = frame.element;
+      break;
+    }
+  }
+  return geometry;
+}
+
+// ── Layers ──
+
+/**
+ * Normalized base center of a layer: its anchor when one was placed by hand,
+ * otherwise a golden-ratio spread over the seed.
+ */
+function layerAnchor(layer) {
+  if (layer.anchor) return layer.anchor;
+  return {
+    x: 0.2 + 0.6 * ((layer.seed * 0.618) % 1),
+    y: 0.2 + 0.6 * (((layer.seed * 0.618 + 0.5) % 1)),
+  };
+}
+
+/**
+ * Where a layer sits at time (ms) in a w×h scene.
+ * @returns {{baseX:number, baseY:number, cx:number, cy:number, scale:number}}
+ */
+function layerPlacement(layer, time, loopMs, w, h) {
+  const { orbit } = layer;
+
+  // t advances by exactly layer.cycles integers per loopDuration → perfect loop
+  const t = (time / loopMs) * layer.cycles;
+
+  // Motion
+  let offset;
+  if (layer.motion === MOTION_TYPES.path) offset = motionPath(t, layer.path, w, h);
+  else if (layer.motion === MOTION_TYPES.flow) offset = motionFlow(t, layer.flow, layer.range);
+  else offset = getMotionOffset(layer.motion, t, orbit, layer.range);
+  const { offsetX, offsetY } = offset;
+
+  // Scale oscillation
+  const breatheExtra = layer.motion === MOTION_TYPES.breathe ? 0.3 : 0;
+  const scale = 1.0 + (layer.scale - 1.0 + breatheExtra) * (0.5 + 0.5 * Math.sin((t + orbit.phaseX * 2) * Math.PI * 2));
+
+  const anchor = layerAnchor(layer);
+  const baseX = w * anchor.x;
+  const baseY = h * anchor.y;
+  return { baseX, baseY, cx: baseX + offsetX, cy: baseY + offsetY, scale };
+}
+
+/**
+ * Create a layer object. Layers are identified by a stable id; the seed
+ * drives the default position, orbit, ellipse aspect and blob outline.
+ * New seeds continue after the highest one in existingLayers.
+ * @param {object[]} existingLayers layers the new one will join
+ * @param {object} [props] property overrides
+ */
+function createLayer(existingLayers, props = {}) {
+  const seed = props.seed ?? existingLayers.reduce((max, l) => Math.max(max, l.seed + 1), 0);
+  return {
+    id: createLayerId(existingLayers),
+    seed,
+    orbit: generateOrbit(seed),
+    color: DEFAULT_LAYER_COLORS[seed % DEFAULT_LAYER_COLORS.length],
+    shape: SHAPE_TYPES.circle,
+    motion: MOTION_TYPES.lissajous,
+    anchor: null, // { x, y } normalized base center, null = automatic
+    path: null, // closed bezier for the 'path' motion, see motionPath()
+    flow: { seed, frequency: 1, octaves: 2 }, // noise for the 'flow' motion, see motionFlow()
+    blob: { seed, amplitude: 0.12, speed: 1 }, // outline and morphing of the 'blob' shape
+    gradient: createDefaultGradient(), // radial fill, see layerGradientStops()
+    media: null, // { type, source, name } photo or video clip of the 'image' shape, see media.js
+    locked: false, // kept as is by the scene generator
+    blendMode: null, // composite operation, null = settings.blendMode
+    blur: 0, // extra blur (scene px) on top of settings.blur
+    cycles: 1, // integer cycles per loop (ensures perfect loop)
+    range: 250,
+    opacity: 0.75,
+    scale: 1.4,
+    ...props,
+  };
+}
+
+/** Next free id of the form 'L<n>'. */
+function createLayerId(existingLayers) {
+  const used = existingLayers.map(l => parseInt(String(l.id).slice(1)) || 0);
+  return `L${Math.max(0, ...used) + 1}`;
+}
+
+// ── Keyframes ──
+// settings.keyframes maps a property path ('blur', 'bgColor', or a layer id
+// and property such as 'L3.color') to a track of { t, value, ease } keys sorted by t,
+// where t is the loop phase in [0, 1). Each key's ease shapes the segment up
+// to the next key, and the last key wraps back to the first, so an animated
+// value is identical at phase 0 and 1 and the loop stays seamless.
+
+const EASINGS = {
+  linear: u => u,
+  easeIn: u => u * u * u,
+  easeOut: u => 1 - (1 - u) ** 3,
+  easeInOut: u => (u < 0.5 ? 4 * u ** 3 : 1 - (-2 * u + 2) ** 3 / 2),
+  hold: () => 0,
+};
+
+// Settings that can carry a keyframe track; layer ones are keyed 'id.prop'
+const KEYFRAME_PROPS = {
+  bgColor: { type: 'color',  layer: false },
+  blur:    { type: 'number', layer: false },
+  color:   { type: 'color',  layer: true },
+  opacity: { type: 'number', layer: true },
+  range:   { type: 'number', layer: true },
+  scale:   { type: 'number', layer: true },
+};
+
+function mixColor(a, b, u) {
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  let out = '#';
+  for (let i = 0; i < 3; i++) {
+    const v = Math.round(channel(a, i) + (channel(b, i) - channel(a, i)) * u);
+    out += v.toString(16).padStart(2, '0');
+  }
+  return out;
+}
+
+/** Value of a sorted keyframe track at loop phase (0–1). */
+function sampleTrack(track, phase, type) {
+  if (track.length === 1) return track[0].value;
+
+  // Last key at or before phase; before the first key we're still in the
+  // segment that wraps around from the last one
+  let i = track.length - 1;
+  while (i >= 0 && track[i].t > phase) i--;
+  if (i < 0) i = track.length - 1;
+
+  const from = track[i];
+  const to = track[(i + 1) % track.length];
+  let span = to.t - from.t;
+  if (span <= 0) span += 1;
+  let elapsed = phase - from.t;
+  if (elapsed < 0) elapsed += 1;
+
+  const ease = EASINGS[from.ease] || EASINGS.linear;
+  const u = ease(Math.min(1, elapsed / span));
+  return type === 'color'
+    ? mixColor(from.value, to.value, u)
+    : from.value + (to.value - from.value) * u;
+}
+
+/**
+ * Settings with every keyframe track evaluated at time (ms).
+ * Returns the settings object itself when nothing is animated; otherwise a
+ * shallow copy, with only the animated layers copied.
+ */
+function animatedSettings(settings, time) {
+  const tracks = Object.entries(settings.keyframes || {}).filter(([, track]) => track.length);
+  if (!tracks.length) return settings;
+
+  const loopMs = settings.loopDuration || 10000;
+  const phase = (((time / loopMs) % 1) + 1) % 1;
+  const out = { ...settings };
+  for (const [path, track] of tracks) {
+    const [id, key] = path.includes('.') ? path.split('.') : [null, path];
+    const prop = KEYFRAME_PROPS[key];
+    if (!prop || prop.layer !== (id !== null)) continue;
+    const value = sampleTrack(track, phase, prop.type);
+    if (!prop.layer) {
+      out[key] = value;
+      continue;
+    }
+    const index = out.layers.findIndex(l => l.id === id);
+    if (index < 0) continue;
+    if (out.layers === settings.layers) out.layers = [...settings.layers];
+    out.layers[index] = { ...out.layers[index], [key]: value };
   }
+  return out;
 }
 
 // ── Renderer ──
 
+/** Build a fresh copy of the default settings (objects are never shared). */
+function createDefaultSettings() {
+  const layers = [];
+  for (const cycles of [1, 2, 1, 3]) layers.push(createLayer(layers, { cycles }));
+  return {
+    bgColor: '#050814',
+    layers, // drawn in order, first at the bottom
+    blur: 160,
+    blendMode: 'screen', // one of BLEND_MODES
+    loopDuration: 10000, // loop period in ms (0 = no loop)
+    grain: 0, // film grain strength (0–0.5), see post.js
+    grainSize: 1.5, // grain cell size in output pixels
+    vignette: 0, // corner darkening (0–1)
+    dither: 'none', // 'none' | 'blue-noise', applied before 8-bit quantization
+    keyframes: {}, // property path → [{ t, value, ease }], see animatedSettings()
+    overlays: [], // text and images over the finished frame, first at the bottom
+  };
+}
+
 export class BackgroundRenderer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas preview canvas
+   * @param {HTMLCanvasElement} [overlayCanvas] unblurred canvas above it for overlays
+   */
+  constructor(canvas, overlayCanvas = null) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
+    this.overlayCanvas = overlayCanvas;
     this.animFrameId = null;
-    this.startTime = null;
+    this.currentTime = 0; // loop time (ms) of the last preview frame
+    this.paused = false;
+    this.playbackRate = 1;
+    this.seamView = null; // null | { mode: 'split' | 'diff', lastTime }
+    this._seamCanvas = null;
+    this.backend = 'canvas'; // 'canvas' | 'webgl', see setBackend()
+    this._webgl = null;
+    this._cssBlurScale = null; // overscan the canvas transform was last set for, see updateBlur()
 
     // Default settings
-    this.settings = {
-      bgColor: '#050814',
-      layerCount: 4,
-      layerColors: [...DEFAULT_LAYER_COLORS],
-      layerShapes: Array(6).fill(SHAPE_TYPES.circle),
-      layerMotions: Array(6).fill(MOTION_TYPES.lissajous),
-      layerCycles: [1, 2, 1, 3, 2, 1], // integer cycles per loop (ensures perfect loop)
-      layerMotionRanges: Array(6).fill(250),
-      layerOpacities: Array(6).fill(0.75),
-      layerScaleRanges: Array(6).fill(1.4),
-      blur: 160,
-      blendMode: 'screen', // screen | multiply | overlay | soft-light
-      loopDuration: 10000, // loop period in ms (0 = no loop)
-    };
+    this.settings = createDefaultSettings();
+    this._changeListeners = new Set();
+    this._frameListeners = new Set();
   }
 
   /** Update one or more settings. Partial update supported. */
   updateSettings(partial) {
     Object.assign(this.settings, partial);
+    this._emitChange();
+  }
+
+  /** Update properties of the layer with the given id. */
+  updateLayer(id, partial) {
+    const layer = this.settings.layers.find(l => l.id === id);
+    if (!layer) return;
+    Object.assign(layer, partial);
+    this._emitChange();
+  }
+
+  /** Append a new layer (or insert it at index) and return it. */
+  addLayer(props = {}, index = this.settings.layers.length) {
+    const layer = createLayer(this.settings.layers, props);
+    this.settings.layers.splice(index, 0, layer);
+    this._emitChange();
+    return layer;
+  }
+
+  /**
+   * Insert a copy of a layer right above it, keyframe tracks included.
+   * The copy keeps the seed, so it starts exactly on top of the original.
+   */
+  duplicateLayer(id) {
+    const index = this.settings.layers.findIndex(l => l.id === id);
+    if (index < 0) return null;
+    const { id: _id, ...props } = structuredClone(this.settings.layers[index]);
+    const copy = createLayer(this.settings.layers, props);
+    this.settings.layers.splice(index + 1, 0, copy);
+    for (const [path, track] of Object.entries(this.settings.keyframes)) {
+      const [layerId, key] = path.split('.');
+      if (key && layerId === id) this.settings.keyframes[`${copy.id}.${key}`] = structuredClone(track);
+    }
+    this._emitChange();
+    return copy;
+  }
+
+  /** Delete a layer and its keyframe tracks. */
+  removeLayer(id) {
+    const index = this.settings.layers.findIndex(l => l.id === id);
+    if (index < 0) return;
+    this.settings.layers.splice(index, 1);
+    for (const path of Object.keys(this.settings.keyframes)) {
+      if (path.startsWith(`${id}.`)) delete this.settings.keyframes[path];
+    }
+    this._emitChange();
+  }
+
+  /** Move a layer to a new position in the draw order. */
+  moveLayer(id, toIndex) {
+    const layers = this.settings.layers;
+    const from = layers.findIndex(l => l.id === id);
+    if (from < 0) return;
+    const [layer] = layers.splice(from, 1);
+    layers.splice(Math.max(0, Math.min(toIndex, layers.length)), 0, layer);
+    this._emitChange();
+  }
+
+  /** Add a 'text' or 'image' overlay on top of the others and return it. */
+  addOverlay(type, props = {}) {
+    const overlay = createOverlay(this.settings.overlays, type, props);
+    this.settings.overlays.push(overlay);
+    this._emitChange();
+    return overlay;
+  }
+
+  /** Update properties of the overlay with the given id. */
+  updateOverlay(id, partial) {
+    const overlay = this.settings.overlays.find(o => o.id === id);
+    if (!overlay) return;
+    Object.assign(overlay, partial);
+    this._emitChange();
+  }
+
+  removeOverlay(id) {
+    const index = this.settings.overlays.findIndex(o => o.id === id);
+    if (index < 0) return;
+    this.settings.overlays.splice(index, 1);
+    this._emitChange();
+  }
+
+  /** Move an overlay to a new position in the draw order. */
+  moveOverlay(id, toIndex) {
+    const overlays = this.settings.overlays;
+    const from = overlays.findIndex(o => o.id === id);
+    if (from < 0) return;
+    const [overlay] = overlays.splice(from, 1);
+    overlays.splice(Math.max(0, Math.min(toIndex, overlays.length)), 0, overlay);
+    this._emitChange();
+  }
+
+  /**
+   * Subscribe to settings changes made through updateSettings and the layer methods.
+   * Returns an unsubscribe function.
+   */
+  onChange(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  }
+
+  _emitChange() {
+    releaseUnusedMedia(this.settings);
+    for (const listener of this._changeListeners) listener(this.settings);
+  }
+
+  /**
+   * Subscribe to preview frames; the listener gets currentTime after each
+   * frame is drawn. Returns an unsubscribe function.
+   */
+  onFrame(listener) {
+    this._frameListeners.add(listener);
+    return () => this._frameListeners.delete(listener);
+  }
+
+  /** Settings as they are at loop time (ms), with keyframes applied. */
+  settingsAt(time) {
+    return animatedSettings(this.settings, time);
+  }
+
+  /**
+   * Placement of a layer at time (ms) in preview coordinates, keyframes
+   * applied. Used by the editor overlay; null if the id is unknown.
+   */
+  layerPlacementAt(id, time) {
+    const s = this.settingsAt(time);
+    const layer = s.layers.find(l => l.id === id);
+    if (!layer) return null;
+    const { width, height } = this.previewSize();
+    return layerPlacement(layer, time, s.loopDuration || 10000, width, height);
+  }
+
+  /**
+   * Largest blur the loop reaches, global plus the strongest layer blur on
+   * top of it, so canvas padding fits every frame.
+   */
+  _maxBlur() {
+    const track = this.settings.keyframes?.blur;
+    const global = track?.length ? Math.max(...track.map(key => key.value)) : this.settings.blur;
+    return global + Math.max(0, ...this.settings.layers.map(l => l.blur));
+  }
+
+  /**
+   * Layout size of the preview canvas in CSS pixels.
+   * Uses client size rather than getBoundingClientRect() so the CSS scale
+   * applied by updateBlur() doesn't leak into scene coordinates.
+   */
+  previewSize() {
+    return {
+      width: this.canvas.clientWidth || 1920,
+      height: this.canvas.clientHeight || 1080,
+    };
   }
 
   /** Resize the canvas to match its display size (call on window resize). */
   resize() {
     const dpr = window.devicePixelRatio || 1;
-    const rect = this.canvas.getBoundingClientRect();
-    this.canvas.width = rect.width * dpr;
-    this.canvas.height = rect.height * dpr;
+    const { width, height } = this.previewSize();
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
     this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    if (this.overlayCanvas) {
+      this.overlayCanvas.width = width * dpr;
+      this.overlayCanvas.height = height * dpr;
+      this.overlayCanvas.getContext('2d').setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+    this.updateBlur();
+  }
+
+  /**
+   * Region of the preview scene captured by an export of the given size, in
+   * preview coordinates (one unit = one screen pixel): the export aspect ratio
+   * fitted inside the viewport and centered.
+   */
+  exportFrame(exportWidth, exportHeight) {
+    const { width, height } = this.previewSize();
+    const fit = Math.min(width / exportWidth, height / exportHeight);
+    const frameWidth = exportWidth * fit;
+    const frameHeight = exportHeight * fit;
+    return {
+      x: (width - frameWidth) / 2,
+      y: (height - frameHeight) / 2,
+      width: frameWidth,
+      height: frameHeight,
+    };
+  }
+
+  /**
+   * Switch between the 'canvas' (Canvas 2D) and 'webgl' (WebGL2) backends;
+   * preview and export both follow it. Throws when WebGL2 is unavailable,
+   * Canvas 2D always works.
+   */
+  setBackend(name) {
+    if (name === 'webgl' && !this._webgl) {
+      this._webgl = WebGLBackend.create();
+      if (!this._webgl) throw new Error('WebGL2 is not available in this browser');
+    }
+    this.backend = name;
+    this.updateBlur();
+  }
+
+  /** Whether frames go through WebGL2; a lost context falls back to Canvas 2D for good. */
+  _usesWebGL() {
+    if (this.backend !== 'webgl') return false;
+    if (!this._webgl.lost) return true;
+    console.warn('WebGL context lost, falling back to Canvas 2D');
+    this.backend = 'canvas';
+    this._webgl = null;
+    this.updateBlur();
+    return false;
+  }
+
+  /**
+   * Render the view region of the scene at time (ms) through the WebGL2
+   * backend into a width×height image, blur included, and post-processing
+   * too with withPost. The layout is the same renderFrame() uses; returns the
+   * backend's canvas.
+   */
+  _renderWebGL(time, view, width, height, transparent = false, withPost = false) {
+    const { width: w, height: h } = this.previewSize();
+    const s = this.settingsAt(time);
+    const loopMs = s.loopDuration || 10000;
+    const phase = (time % loopMs) / loopMs;
+    const layers = s.layers.map(layer => {
+      const { cx, cy, scale } = layerPlacement(layer, time, loopMs, w, h);
+      return {
+        ...shapeGeometry(layer, cx, cy, Math.max(w, h) * 0.5 * scale, phase),
+        blendMode: layer.blendMode ?? s.blendMode,
+        blur: layer.blur,
+      };
+    });
+    return this._webgl.render({
+      background: transparent ? null : hexToRgb(s.bgColor),
+      layers,
+      blur: s.blur,
+      view,
+      width,
+      height,
+      post: withPost && hasPost(s)
+        ? { grain: s.grain, grainSize: s.grainSize, vignette: s.vignette, dither: s.dither, time }
+        : null,
+    });
   }
 
   /**
    * Render a single frame at the given time (ms).
+   * With transparent set, the background is left clear instead of bgColor.
    */
-  renderFrame(time, ctx, width, height) {
+  renderFrame(time, ctx, width, height, transparent = false) {
     const c = ctx || this.ctx;
-    const w = width || this.canvas.getBoundingClientRect().width;
-    const h = height || this.canvas.getBoundingClientRect().height;
-    const s = this.settings;
+    const w = width || this.previewSize().width;
+    const h = height || this.previewSize().height;
+    const s = this.settingsAt(time);
 
     // Background
     c.globalCompositeOperation = 'source-over';
-    c.fillStyle = s.bgColor;
-    c.fillRect(0, 0, w, h);
+    if (transparent) {
+      c.clearRect(0, 0, w, h);
+    } else {
+      c.fillStyle = s.bgColor;
+      c.fillRect(0, 0, w, h);
+    }
+
+    // Canvas filters ignore the transform, so layer blur is converted to device pixels
+    const m = c.getTransform();
+    const pixelScale = Math.hypot(m.a, m.b);
 
     // Draw each layer
-    c.globalCompositeOperation = s.blendMode;
+    const loopMs = s.loopDuration || 10000;
+    const phase = (time % loopMs) / loopMs;
+    for (const layer of s.layers) {
+      const { cx, cy, scale } = layerPlacement(layer, time, loopMs, w, h);
+      const blobRadius = Math.max(w, h) * 0.5 * scale;
+      c.globalCompositeOperation = layer.blendMode ?? s.blendMode;
+      c.filter = layer.blur > 0 ? `blur(${layer.blur * pixelScale}px)` : 'none';
+      drawShape(layer, c, cx, cy, blobRadius, phase);
+    }
+
+    c.globalCompositeOperation = 'source-over';
+    c.filter = 'none';
+  }
+
+  /**
+   * Render one preview frame.
+   * The canvas is CSS-scaled by _blurScale() to push blur edge artifacts
+   * off-screen, so the scene is drawn shrunk by the same factor: one scene
+   * unit stays one screen pixel, which keeps preview and export framing equal.
+   */
+  renderPreviewFrame(time) {
+    const { width: w, height: h } = this.previewSize();
+    const c = this.ctx;
+    const s = this.settingsAt(time);
 
-    for (let i = 0; i < s.layerCount; i++) {
-      const orbit = LAYER_ORBITS[i % LAYER_ORBITS.length];
-      const color = s.layerColors[i] || DEFAULT_LAYER_COLORS[i % DEFAULT_LAYER_COLORS.length];
+    // Exports seek videos themselves; the seam view shows two times at once
+    if (!this._export && !this.seamView) syncPreviewMedia(s.layers, time, !this.paused, this.playbackRate);
 
-      // Per-layer settings
-      const layerShape = s.layerShapes[i] || SHAPE_TYPES.circle;
-      const layerMotion = s.layerMotions[i] || MOTION_TYPES.lissajous;
-      const layerCycles = s.layerCycles[i] ?? 1;
-      const layerRange = s.layerMotionRanges[i] ?? 250;
-      const layerOpacity = s.layerOpacities[i] ?? 0.75;
-      const layerScale = s.layerScaleRanges[i] ?? 1.4;
+    // The Canvas 2D preview blur is a CSS filter, so an animated blur is reapplied per frame,
+    // and so is any change of the overscan (e.g. a layer blur edited)
+    if (!this._usesWebGL() && (this.settings.keyframes?.blur?.length || this._blurScale() !== this._cssBlurScale)) {
+      this.updateBlur(s.blur);
+    }
 
-      // t advances by exactly layerCycles integers per loopDuration → perfect loop
+    // Fill the whole canvas; the scene's own background only covers its w×h
+    c.globalCompositeOperation = 'source-over';
+    c.fillStyle = s.bgColor;
+    c.fillRect(0, 0, w, h);
+
+    if (this.seamView) this._renderSeam(c, w, h);
+    else this._renderPreviewScene(c, time, w, h);
+
+    // Overlays sit unblurred above the canvas (and the grain); the seam view hides them
+    if (this.overlayCanvas) {
+      const oc = this.overlayCanvas.getContext('2d');
+      oc.clearRect(0, 0, w, h);
       const loopMs = s.loopDuration || 10000;
-      const t = (time / loopMs) * layerCycles;
+      if (!this.seamView) drawOverlays(oc, s.overlays, (time % loopMs) / loopMs, w, h);
+    }
+  }
 
-      // Motion
-      const { offsetX, offsetY } = getMotionOffset(layerMotion, t, orbit, layerRange);
+  _renderPreviewScene(c, time, w, h) {
+    if (this._usesWebGL()) {
+      // Blurred on the GPU already, at the canvas's device resolution
+      const image = this._renderWebGL(time, { x: 0, y: 0, width: w, height: h }, this.canvas.width, this.canvas.height);
+      c.drawImage(image, 0, 0, w, h);
+      return;
+    }
+    const zoom = 1 / this._blurScale();
+    c.save();
+    c.translate(w / 2, h / 2);
+    c.scale(zoom, zoom);
+    c.translate(-w / 2, -h / 2);
+    this.renderFrame(time, c, w, h);
+    c.restore();
+  }
 
-      // Scale oscillation
-      const breatheExtra = layerMotion === MOTION_TYPES.breathe ? 0.3 : 0;
-      const scale = 1.0 + (layerScale - 1.0 + breatheExtra) * (0.5 + 0.5 * Math.sin((t + orbit.phaseX * 2) * Math.PI * 2));
+  /**
+   * Loop-seam inspection: the last frame of the loop against the first one.
+   * 'split' draws the last frame on the left half and the first on the right,
+   * so a clean seam looks continuous across the middle; 'diff' shows their
+   * per-pixel difference, where black means identical.
+   */
+  _renderSeam(c, w, h) {
+    const { mode, lastTime } = this.seamView;
 
-      // Layer center position
-      const baseCx = w * (0.2 + 0.6 * ((i * 0.618) % 1));
-      const baseCy = h * (0.2 + 0.6 * (((i * 0.618 + 0.5) % 1)));
-      const cx = baseCx + offsetX;
-      const cy = baseCy + offsetY;
+    if (mode === 'split') {
+      c.save();
+      c.beginPath();
+      c.rect(0, 0, w / 2, h);
+      c.clip();
+      this._renderPreviewScene(c, lastTime, w, h);
+      c.restore();
 
-      const blobRadius = Math.max(w, h) * 0.5 * scale;
+      c.save();
+      c.beginPath();
+      c.rect(w / 2, 0, w - w / 2, h);
+      c.clip();
+      this._renderPreviewScene(c, 0, w, h);
+      c.restore();
+      return;
+    }
 
-      drawShape(layerShape, c, cx, cy, blobRadius, color, layerOpacity, i);
+    const dpr = window.devicePixelRatio || 1;
+    if (!this._seamCanvas) this._seamCanvas = document.createElement('canvas');
+    const seam = this._seamCanvas;
+    if (seam.width !== this.canvas.width || seam.height !== this.canvas.height) {
+      seam.width = this.canvas.width;
+      seam.height = this.canvas.height;
     }
+    const seamCtx = seam.getContext('2d');
+    seamCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    seamCtx.fillStyle = this.settings.bgColor;
+    seamCtx.fillRect(0, 0, w, h);
+    this._renderPreviewScene(seamCtx, lastTime, w, h);
 
-    c.globalCompositeOperation = 'source-over';
+    this._renderPreviewScene(c, 0, w, h);
+    c.save();
+    c.setTransform(1, 0, 0, 1, 0, 0);
+    c.globalCompositeOperation = 'difference';
+    c.drawImage(seam, 0, 0);
+    c.restore();
   }
 
   /**
    * Prepare reusable canvases for export at given dimensions.
    * Call once before the frame loop to avoid per-frame allocation.
+   * Pass transparent to export with an alpha channel instead of bgColor.
+   *
+   * The export captures exportFrame() of the preview scene, scaled up to the
+   * export size; blur and motion ranges scale by the same factor, so the
+   * composition matches the preview whatever the export aspect ratio.
+   * The backend is fixed for the whole export; WebGL2 needs no padding as it
+   * renders around the frame itself.
    */
-  initExport(exportWidth, exportHeight) {
-    const s = this.settings;
-    const previewWidth = this.canvas.getBoundingClientRect().width || 1920;
-    const ratio = exportWidth / previewWidth;
-    const blurPx = Math.round(s.blur * ratio);
-    const pad = blurPx * 2;
+  initExport(exportWidth, exportHeight, transparent = false) {
+    const frame = this.exportFrame(exportWidth, exportHeight);
+    const ratio = exportWidth / frame.width;
+    const webgl = this._usesWebGL();
+    // Pad for the strongest blur an animated track reaches
+    const pad = webgl ? 0 : Math.round(this._maxBlur() * ratio) * 2;
 
     // Source canvas (oversized for blur padding)
-    const srcCanvas = document.createElement('canvas');
-    srcCanvas.width = exportWidth + pad * 2;
-    srcCanvas.height = exportHeight + pad * 2;
+    const srcCanvas = webgl ? null : document.createElement('canvas');
+    if (srcCanvas) {
+      srcCanvas.width = exportWidth + pad * 2;
+      srcCanvas.height = exportHeight + pad * 2;
+    }
 
     // Output canvas (final cropped result)
     const outCanvas = document.createElement('canvas');
     outCanvas.width = exportWidth;
     outCanvas.height = exportHeight;
 
-    this._export = { srcCanvas, outCanvas, blurPx, pad, exportWidth, exportHeight };
+    this._export = { srcCanvas, outCanvas, pad, exportWidth, exportHeight, frame, ratio, transparent, webgl };
+  }
+
+  /**
+   * Load image layers and seek video layers to their frame at time (ms).
+   * Await it before each renderExportFrame() so video frames are exact.
+   */
+  prepareFrame(time) {
+    return prepareMedia(this.settingsAt(time).layers, time);
   }
 
   /**
@@ -341,51 +1180,147 @@ export class BackgroundRenderer {
    * Returns the output canvas (caller converts to PNG blob).
    */
   renderExportFrame(time) {
-    const { srcCanvas, outCanvas, blurPx, pad, exportWidth, exportHeight } = this._export;
-    const s = this.settings;
+    const { srcCanvas, outCanvas, pad, exportWidth, exportHeight, frame, ratio, transparent, webgl } = this._export;
+    const outCtx = outCanvas.getContext('2d');
+    if (webgl) {
+      outCtx.clearRect(0, 0, exportWidth, exportHeight);
+      outCtx.drawImage(this._renderWebGL(time, frame, exportWidth, exportHeight, transparent, true), 0, 0);
+      this._drawExportOverlays(outCtx, time);
+      return outCanvas;
+    }
+
+    const s = this.settingsAt(time);
+    const blurPx = Math.round(s.blur * ratio);
+    const { width: sceneWidth, height: sceneHeight } = this.previewSize();
 
     // 1. Render to oversized canvas with padding for blur bleed
     const srcCtx = srcCanvas.getContext('2d');
-    srcCtx.fillStyle = s.bgColor;
-    srcCtx.fillRect(0, 0, srcCanvas.width, srcCanvas.height);
+    if (transparent) {
+      srcCtx.clearRect(0, 0, srcCanvas.width, srcCanvas.height);
+    } else {
+      srcCtx.fillStyle = s.bgColor;
+      srcCtx.fillRect(0, 0, srcCanvas.width, srcCanvas.height);
+    }
 
     srcCtx.save();
     srcCtx.translate(pad, pad);
-    this.renderFrame(time, srcCtx, exportWidth, exportHeight);
+    srcCtx.scale(ratio, ratio);
+    srcCtx.translate(-frame.x, -frame.y);
+    this.renderFrame(time, srcCtx, sceneWidth, sceneHeight, transparent);
     srcCtx.restore();
 
     // 2. Draw with real gaussian blur, cropping padding
-    const outCtx = outCanvas.getContext('2d');
     outCtx.clearRect(0, 0, exportWidth, exportHeight);
     outCtx.filter = `blur(${blurPx}px)`;
     outCtx.drawImage(srcCanvas, -pad, -pad);
     outCtx.filter = 'none';
 
+    // 3. Grain, vignette and dither on the final pixels
+    if (hasPost(s)) {
+      const image = outCtx.getImageData(0, 0, exportWidth, exportHeight);
+      outCtx.putImageData(applyPost(image, time, s), 0, 0);
+    }
+
+    // 4. Overlays, sharp on top of everything
+    this._drawExportOverlays(outCtx, time);
+
     return outCanvas;
   }
 
+  /** Draw the overlays onto an export frame, framed like the background. */
+  _drawExportOverlays(outCtx, time) {
+    const { frame, ratio } = this._export;
+    const s = this.settingsAt(time);
+    if (!s.overlays.length) return;
+    const { width, height } = this.previewSize();
+    const loopMs = s.loopDuration || 10000;
+    outCtx.save();
+    outCtx.scale(ratio, ratio);
+    outCtx.translate(-frame.x, -frame.y);
+    drawOverlays(outCtx, s.overlays, (time % loopMs) / loopMs, width, height);
+    outCtx.restore();
+  }
+
   /** Release export canvases. */
   cleanupExport() {
     this._export = null;
   }
 
-  /** Start the real-time preview animation loop. */
+  /**
+   * Render the frame at time (ms) through both backends at width×height and
+   * measure how far WebGL2 strays from Canvas 2D, in 0–255 channel steps.
+   * Works on a software GL too, e.g. in a headless browser.
+   * @returns {{mean:number, max:number}}
+   */
+  compareBackends(width = 640, height = 360, time = this.currentTime) {
+    if (this._export) throw new Error('Wait for the export to finish before comparing backends');
+    const previous = this.backend;
+    const capture = (backend) => {
+      this.setBackend(backend);
+      this.initExport(width, height);
+      const image = this.renderExportFrame(time).getContext('2d').getImageData(0, 0, width, height);
+      this.cleanupExport();
+      return image.data;
+    };
+    try {
+      const reference = capture('canvas');
+      const result = capture('webgl');
+      let total = 0;
+      let max = 0;
+      for (let i = 0; i < reference.length; i++) {
+        const diff = Math.abs(reference[i] - result[i]);
+        total += diff;
+        max = Math.max(max, diff);
+      }
+      return { mean: total / reference.length, max };
+    } finally {
+      this.cleanupExport();
+      this.setBackend(previous);
+    }
+  }
+
+  /**
+   * Start the real-time preview animation loop.
+   * Time advances by the wall-clock delta × playbackRate each frame, so
+   * pausing, seeking and speed changes never jump the animation.
+   */
   startPreview() {
     this.resize();
-    this.canvas.style.filter = `blur(${this.settings.blur}px)`;
-    this.canvas.style.transform = `scale(${this._blurScale()})`;
-    this.startTime = performance.now();
+    let lastNow = performance.now();
 
     const loop = (now) => {
-      let time = now - this.startTime;
-      const loop_ms = this.settings.loopDuration;
-      if (loop_ms > 0) time = time % loop_ms;
-      this.renderFrame(time);
+      // While paused the frame is still redrawn so setting changes show up
+      if (!this.paused) this.seek(this.currentTime + (now - lastNow) * this.playbackRate);
+      lastNow = now;
+      this.renderPreviewFrame(this.currentTime);
+      for (const listener of this._frameListeners) listener(this.currentTime);
       this.animFrameId = requestAnimationFrame(loop);
     };
     this.animFrameId = requestAnimationFrame(loop);
   }
 
+  /** Freeze the preview on its current frame. */
+  pause() {
+    this.paused = true;
+  }
+
+  /** Resume the preview from the current frame. */
+  play() {
+    this.paused = false;
+  }
+
+  togglePlayback() {
+    if (this.paused) this.play();
+    else this.pause();
+  }
+
+  /** Jump the preview to a loop time (ms); wraps around the loop. */
+  seek(time) {
+    const loop_ms = this.settings.loopDuration;
+    const t = loop_ms > 0 ? ((time % loop_ms) + loop_ms) % loop_ms : Math.max(0, time);
+    this.currentTime = t;
+  }
+
   /** Stop the preview loop. */
   stopPreview() {
     if (this.animFrameId) {
@@ -396,30 +1331,48 @@ export class BackgroundRenderer {
 
   /** Calculate scale needed to hide blur edge artifacts. */
   _blurScale() {
-    const rect = this.canvas.getBoundingClientRect();
-    const minDim = Math.min(rect.width, rect.height) || 1;
+    const { width, height } = this.previewSize();
+    const minDim = Math.min(width, height) || 1;
     // Need blur pixels of margin on each side → 2*blur total
-    return 1 + (2 * this.settings.blur) / minDim + 0.05;
+    return 1 + (2 * this._maxBlur()) / minDim + 0.05;
   }
 
   /** Update CSS blur on the canvas element (for live preview). */
-  updateBlur() {
-    this.canvas.style.filter = `blur(${this.settings.blur}px)`;
-    this.canvas.style.transform = `scale(${this._blurScale()})`;
+  updateBlur(blur = this.settings.blur) {
+    if (this.backend === 'webgl') {
+      // WebGL2 blurs in its own passes and renders past the edges itself
+      this.canvas.style.filter = 'none';
+      this.canvas.style.transform = 'none';
+      return;
+    }
+    const scale = this._blurScale();
+    this._cssBlurScale = scale;
+    // The CSS scale also enlarges the blur, so divide it back out
+    this.canvas.style.filter = `blur(${blur / scale}px)`;
+    this.canvas.style.transform = `scale(${scale})`;
   }
 }
 
-const BLEND_MODES = ['screen', 'multiply', 'overlay', 'soft-light'];
+// Every Canvas 2D globalCompositeOperation: the separable and non-separable
+// blend modes first, then the Porter-Duff compositing operators
+const BLEND_MODES = [
+  'screen', 'multiply', 'overlay', 'soft-light', 'hard-light', 'color-dodge', 'color-burn',
+  'darken', 'lighten', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity',
+  'lighter', 'source-over', 'source-in', 'source-out', 'source-atop', 'destination-over',
+  'destination-in', 'destination-out', 'destination-atop', 'xor', 'copy',
+];
 
 // Expose constants for controls
-export { SHAPE_TYPES, MOTION_TYPES, BLEND_MODES };
+export {
+  SHAPE_TYPES, MOTION_TYPES, BLEND_MODES, EASINGS, KEYFRAME_PROPS, MIN_GRADIENT_STOPS, MAX_GRADIENT_STOPS,
+  PATH_EXTENT, createDefaultSettings, createLayer, layerGradientStops, seededRandom, hexToRgb,
+};
 
 // Expose a singleton renderer
 const canvas = document.getElementById('preview-canvas');
-export const renderer = new BackgroundRenderer(canvas);
+export const renderer = new BackgroundRenderer(canvas, document.getElementById('overlay-canvas'));
 
-// Start preview on load
-renderer.startPreview();
+// The preview is started by main.js once the initial scene has been applied.
 
 // Handle resize
 window.addEventListener('resize', () => renderer.resize());
@@ -0,0 +1,195 @@
+/**
+ * Editor commands, keyboard shortcuts and the command palette (Ctrl+K).
+ * Every action reachable from the keyboard is listed in COMMANDS so the
+ * palette and the shortcut handler stay in sync.
+ */
+
+import { renderer } from './aurora.js';
+import { togglePanel, addLayer, removeLayer, showNotice } from './controls.js';
+import { startExport, exportStill } from './exporter.js';
+import { saveSceneFile, openSceneFile } from './scene.js';
+import { undo, redo } from './history.js';
+import { randomizeScene } from './generator.js';
+import { stepFrame } from './transport.js';
+import { toggleAnchorEditing } from './anchors.js';
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+
+/**
+ * keys use KeyboardEvent.key names joined with '+'; 'Mod' is Ctrl (⌘ on macOS).
+ * Single-key shortcuts never fire while a form field has focus. Commands
+ * with no keys are only listed in the palette.
+ */
+const COMMANDS = [
+  { id: 'preview.toggle', title: 'Play / pause preview', keys: ['Space'], run: () => renderer.togglePlayback() },
+  { id: 'preview.forward', title: 'Forward 1 second', keys: ['ArrowRight'], run: () => renderer.seek(renderer.currentTime + 1000) },
+  { id: 'preview.back', title: 'Back 1 second', keys: ['ArrowLeft'], run: () => renderer.seek(renderer.currentTime - 1000) },
+  { id: 'preview.nextFrame', title: 'Next frame', keys: ['.'], run: () => stepFrame(1) },
+  { id: 'preview.prevFrame', title: 'Previous frame', keys: [','], run: () => stepFrame(-1) },
+  { id: 'panel.toggle', title: 'Hide / show panel', keys: ['h'], run: togglePanel },
+  { id: 'layer.add', title: 'Add layer', keys: ['=', 'Plus'], run: addLayer },
+  { id: 'layer.positions', title: 'Edit layer positions', keys: ['p'], run: () => toggleAnchorEditing() },
+  { id: 'layer.remove', title: 'Remove top layer', keys: ['-'], run: () => removeLayer() },
+  { id: 'scene.randomize', title: 'Generate random scene', keys: ['r'], run: () => randomizeScene() },
+  { id: 'export.video', title: 'Export video', keys: ['e'], run: startExport },
+  { id: 'export.still', title: 'Export still', keys: ['Shift+e'], run: exportStill },
+  { id: 'history.undo', title: 'Undo', keys: ['Mod+z'], run: undo },
+  { id: 'history.redo', title: 'Redo', keys: ['Mod+Shift+z', 'Mod+y'], run: redo },
+  { id: 'scene.save', title: 'Save scene…', keys: ['Mod+s'], run: saveSceneFile },
+  { id: 'scene.open', title: 'Open scene…', keys: ['Mod+o'], run: openSceneFile },
+  { id: 'renderer.compare', title: 'Compare WebGL2 with Canvas 2D', keys: [], run: compareBackends },
+  { id: 'palette.open', title: 'Command palette', keys: ['Mod+k'], run: () => openPalette() },
+];
+
+/** Pixel-diff the current frame between the two rendering backends. */
+function compareBackends() {
+  try {
+    const { mean, max } = renderer.compareBackends();
+    showNotice(`WebGL2 vs Canvas 2D: mean difference ${mean.toFixed(2)}, max ${max} (of 255)`);
+  } catch (err) {
+    showNotice(err.message, 'error');
+  }
+}
+
+// ── Shortcut matching ──
+
+const KEY_ALIASES = { Space: ' ', Plus: '+' };
+
+function parseKeys(spec) {
+  const parts = spec.split('+');
+  const key = parts.pop();
+  return {
+    key: (KEY_ALIASES[key] ?? key).toLowerCase(),
+    mod: parts.includes('Mod'),
+    shift: parts.includes('Shift'),
+  };
+}
+
+function matches(spec, e) {
+  const { key, mod, shift } = parseKeys(spec);
+  if (e.key.toLowerCase() !== key) return false;
+  if ((e.ctrlKey || e.metaKey) !== mod || e.altKey) return false;
+  // Symbols like '+' need Shift on some layouts, so only letters check it
+  if (/^[a-z]$/.test(key) && e.shiftKey !== shift) return false;
+  return true;
+}
+
+/** Human-readable shortcut label, e.g. 'Ctrl+Shift+Z' or '⌘⇧Z'. */
+function formatKeys(spec) {
+  const { key, mod, shift } = parseKeys(spec);
+  const names = { ' ': 'Space', arrowright: '→', arrowleft: '←' };
+  const label = names[key] ?? key.toUpperCase();
+  if (IS_MAC) return `${mod ? '⌘' : ''}${shift ? '⇧' : ''}${label}`;
+  return [mod && 'Ctrl', shift && 'Shift', label].filter(Boolean).join('+');
+}
+
+function isTypingTarget(el) {
+  return el?.matches?.('input, select, textarea, [contenteditable]');
+}
+
+function isTextTarget(el) {
+  return el?.matches?.('input[type="text"], textarea, [contenteditable]');
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.defaultPrevented || e.isComposing || !palette.classList.contains('hidden')) return;
+  const withMod = e.ctrlKey || e.metaKey;
+  // Plain keys are for typing while a field is focused; Mod combos only
+  // yield to native text editing (undo etc.) inside text fields.
+  if (withMod ? isTextTarget(e.target) : isTypingTarget(e.target)) return;
+  // Space on a focused button is that button's own click
+  if (e.key === ' ' && e.target.closest?.('button')) return;
+
+  const command = COMMANDS.find(cmd => cmd.keys.some(spec => matches(spec, e)));
+  if (!command) return;
+  e.preventDefault();
+  command.run();
+});
+
+// ═══════════════════════════════════════════
+// Command palette
+// ═══════════════════════════════════════════
+
+const palette = document.getElementById('command-palette');
+const paletteInput = document.getElementById('command-search');
+const paletteList = document.getElementById('command-list');
+const paletteBtn = document.getElementById('palette-open');
+
+let filtered = COMMANDS;
+let activeIndex = 0;
+
+function renderPalette() {
+  const query = paletteInput.value.trim().toLowerCase();
+  filtered = COMMANDS.filter(cmd => cmd.id !== 'palette.open' && cmd.title.toLowerCase().includes(query));
+  activeIndex = Math.min(activeIndex, Math.max(0, filtered.length - 1));
+
+  paletteList.innerHTML = '';
+  if (!filtered.length) {
+    paletteList.innerHTML = '<div class="command-empty">No matching commands</div>';
+    return;
+  }
+  filtered.forEach((cmd, i) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'command-item' + (i === activeIndex ? ' active' : '');
+    item.innerHTML = `
+      <span class="command-title"></span>
+      <span class="command-keys">${cmd.keys.length ? formatKeys(cmd.keys[0]) : ''}</span>
+    `;
+    item.querySelector('.command-title').textContent = cmd.title;
+    item.addEventListener('click', () => runFromPalette(cmd));
+    item.addEventListener('mousemove', () => {
+      if (activeIndex === i) return;
+      activeIndex = i;
+      paletteList.querySelectorAll('.command-item').forEach((el, j) => el.classList.toggle('active', j === i));
+    });
+    paletteList.appendChild(item);
+  });
+}
+
+export function openPalette() {
+  paletteInput.value = '';
+  activeIndex = 0;
+  renderPalette();
+  palette.classList.remove('hidden');
+  paletteInput.focus();
+}
+
+function closePalette() {
+  palette.classList.add('hidden');
+  paletteInput.blur();
+}
+
+function runFromPalette(cmd) {
+  closePalette();
+  cmd.run();
+}
+
+paletteInput.addEventListener('input', () => {
+  activeIndex = 0;
+  renderPalette();
+});
+
+paletteInput.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    if (!filtered.length) return;
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    activeIndex = (activeIndex + step + filtered.length) % filtered.length;
+    renderPalette();
+    paletteList.querySelector('.command-item.active')?.scrollIntoView({ block: 'nearest' });
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (filtered[activeIndex]) runFromPalette(filtered[activeIndex]);
+  } else if (e.key === 'Escape' || (e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey))) {
+    e.preventDefault();
+    closePalette();
+  }
+});
+
+// Click outside the box closes the palette
+palette.addEventListener('mousedown', (e) => {
+  if (e.target === palette) closePalette();
+});
+
+paletteBtn.addEventListener('click', openPalette);
@@ -1,13 +1,23 @@
 /**
  * Control panel UI logic.
- * Manages collapsible sections, per-layer configuration, and live preview binding.
+ * Manages collapsible sections, per-layer and per-overlay configuration, and live preview binding.
  */
 
-import { renderer, SHAPE_TYPES, MOTION_TYPES, BLEND_MODES } from './aurora.js';
+import {
+  renderer, BLEND_MODES, EASINGS, KEYFRAME_PROPS, MIN_GRADIENT_STOPS, MAX_GRADIENT_STOPS, layerGradientStops,
+} from './aurora.js';
+import { startPathDrawing } from './anchors.js';
+import { grainFrame, drawGrainCells, vignetteGradient } from './post.js';
+import {
+  OVERLAY_TYPES, OVERLAY_ANIMATIONS, OVERLAY_ALIGNS, OVERLAY_WEIGHTS, OVERLAY_FONTS, OVERLAY_SLIDERS, MAX_TEXT_LENGTH,
+} from './overlays.js';
+import { MEDIA_FORMATS, mediaTypeOf, addSource } from './media.js';
 
 // ── Constants ──
 
-const DEFAULT_COLORS = ['#7c7cff', '#3b82f6', '#a855f7', '#22d3ee', '#f472b6', '#34d399'];
+// Global slider limits (mirror the range inputs in index.html)
+export const BLUR_RANGE = { min: 20, max: 300 };
+export const DURATION_RANGE = { min: 1, max: 120 }; // seconds
 
 // ── SVG Icons ──
 
@@ -15,7 +25,9 @@ const SHAPE_ICONS = {
   circle:  '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><circle cx="10" cy="10" r="7" stroke="currentColor" stroke-width="1.5"/></svg>',
   ellipse: '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><ellipse cx="10" cy="10" rx="8" ry="5" stroke="currentColor" stroke-width="1.5"/></svg>',
   ring:    '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><circle cx="10" cy="10" r="7" stroke="currentColor" stroke-width="1.5"/><circle cx="10" cy="10" r="4" stroke="currentColor" stroke-width="1" opacity="0.4"/></svg>',
+  reroll:  '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><rect x="4" y="4" width="12" height="12" rx="2.5" stroke="currentColor" stroke-width="1.5"/><circle cx="7.5" cy="7.5" r="1.2" fill="currentColor"/><circle cx="12.5" cy="12.5" r="1.2" fill="currentColor"/><circle cx="10" cy="10" r="1.2" fill="currentColor"/></svg>',
   blob:    '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><path d="M10 3C13 3 17 5.5 16 10C15 14.5 13 17 10 17C7 17 4 14.5 4 10C4 5.5 7 3 10 3Z" stroke="currentColor" stroke-width="1.5"/></svg>',
+  image:   '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><rect x="3" y="4" width="14" height="12" rx="2" stroke="currentColor" stroke-width="1.5"/><path d="M4 14.5l4-4.5 3 3 2-2 3 3.5" stroke="currentColor" stroke-width="1.2" stroke-linejoin="round"/><circle cx="13" cy="7.5" r="1.2" fill="currentColor"/></svg>',
 };
 
 const MOTION_ICONS = {
@@ -24,6 +36,8 @@ const MOTION_ICONS = {
   drift:     '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><path d="M4 14L10 6L16 14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>',
   breathe:   '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><circle cx="10" cy="10" r="4" stroke="currentColor" stroke-width="1.5"/><circle cx="10" cy="10" r="7" stroke="currentColor" stroke-width="1" opacity="0.3" stroke-dasharray="2 2"/></svg>',
   wave:      '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><path d="M2 10C4 6 6 6 8 10C10 14 12 14 14 10C16 6 18 6 20 10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
+  flow:      '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><path d="M3 12C5 7 7 14 10 10C13 6 12 4 15 6C17 7.5 16 12 14 13" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>',
+  path:      '<svg width="20" height="20" viewBox="0 0 20 20" fill="none"><path d="M4 13C3 7 9 3 13 5C17 7 17 13 13 15C9 17 5 17 4 13Z" stroke="currentColor" stroke-width="1.5"/><circle cx="4" cy="13" r="1.5" fill="currentColor"/><circle cx="13" cy="5" r="1.5" fill="currentColor"/></svg>',
 };
 
 // ── Dropdown options ──
@@ -33,6 +47,7 @@ const SHAPE_OPTIONS = [
   { value: 'ellipse', label: 'Ellipse', icon: SHAPE_ICONS.ellipse, desc: '납작한 타원형. 레이어마다 납작한 정도가 다르게 적용되어 변화감을 줌.' },
   { value: 'ring',    label: 'Ring',    icon: SHAPE_ICONS.ring,    desc: '고리 모양. 중심이 비어있고 테두리 부분이 밝은 도넛형 빛.' },
   { value: 'blob',    label: 'Blob',    icon: SHAPE_ICONS.blob,    desc: '불규칙한 유기적 형태. 레이어마다 고유한 울퉁불퉁 모양이 자동 생성됨.' },
+  { value: 'image',   label: 'Image',   icon: SHAPE_ICONS.image,   desc: '사진이나 짧은 영상 클립. 다른 레이어처럼 움직이고 블러로 배경에 녹아듦.' },
 ];
 
 const MOTION_OPTIONS = [
@@ -41,13 +56,50 @@ const MOTION_OPTIONS = [
   { value: 'drift',     label: 'Drift',     icon: MOTION_ICONS.drift,     desc: '한쪽 방향으로 천천히 흘러가며 위아래로 살짝 흔들리는 움직임. 구름이 흘러가는 느낌.' },
   { value: 'breathe',   label: 'Breathe',   icon: MOTION_ICONS.breathe,   desc: '위치 이동 없이 제자리에서 크기만 커졌다 작아지는 숨쉬기 효과. Scale 변화가 추가로 강화됨.' },
   { value: 'wave',      label: 'Wave',      icon: MOTION_ICONS.wave,      desc: '좌우로 크게 흔들리며 위아래로 작은 물결을 그리는 움직임. 파도나 해초가 흔들리는 느낌.' },
+  { value: 'flow',      label: 'Flow',      icon: MOTION_ICONS.flow,      desc: '연기나 물결처럼 불규칙하게 떠다니는 유기적인 움직임. 매끄럽게 반복되는 노이즈를 따라가므로 루프의 끝과 시작이 정확히 이어짐.' },
+  { value: 'path',      label: 'Path',      icon: MOTION_ICONS.path,      desc: '프리뷰 위에 직접 그린 닫힌 곡선을 일정한 속도로 따라 도는 움직임. Range 대신 그린 경로의 크기가 이동 범위가 됨.' },
 ];
 
-const LAYER_SLIDERS = [
-  { prop: 'cycles',  key: 'layerCycles',        min: 1,   max: 6,   step: 1,    def: 1,    fmt: v => Math.round(v), hint: "루프 1회 동안 이 덩어리가 궤적을 완주하는 횟수입니다. 정수만 허용되며, 이를 통해 영상의 끝과 시작이 수학적으로 정확히 이어집니다.<div class='hint-vals'><span class='hint-val'><b>1</b> 느리고 여유로운 움직임</span><span class='hint-val'><b>2~3</b> 적당히 역동적</span><span class='hint-val'><b>4~6</b> 빠르고 복잡한 움직임</span></div>" },
-  { prop: 'range',   key: 'layerMotionRanges',  min: 50,  max: 600, step: 10,   def: 250,  fmt: v => Math.round(v), hint: "이 덩어리가 돌아다니는 범위입니다.<div class='hint-vals'><span class='hint-val'><b>50</b> 제자리에서 살짝 흔들림</span><span class='hint-val'><b>250</b> 화면 중간 정도 이동</span><span class='hint-val'><b>600</b> 화면 전체를 크게 이동</span></div>" },
-  { prop: 'opacity', key: 'layerOpacities',     min: 0.1, max: 1,   step: 0.05, def: 0.75, fmt: v => v.toFixed(2),  hint: "이 덩어리의 투명도입니다.<div class='hint-vals'><span class='hint-val'><b>0.1</b> 거의 보이지 않는 은은한 색감</span><span class='hint-val'><b>0.75</b> 적당히 또렷함</span><span class='hint-val'><b>1.0</b> 완전히 불투명한 진한 색상</span></div>" },
-  { prop: 'scale',   key: 'layerScaleRanges',   min: 1,   max: 2,   step: 0.05, def: 1.4,  fmt: v => v.toFixed(2),  hint: "이 덩어리가 커졌다 작아지는 정도입니다.<div class='hint-vals'><span class='hint-val'><b>1.0</b> 크기 변화 없음 (고정)</span><span class='hint-val'><b>1.4</b> 자연스럽게 숨 쉬듯 변화</span><span class='hint-val'><b>2.0</b> 강한 맥동 효과</span></div>" },
+// Labels for BLEND_MODES, split into the two groups shown in the selects
+const BLEND_LABELS = {
+  'screen': 'Screen', 'multiply': 'Multiply', 'overlay': 'Overlay', 'soft-light': 'Soft Light',
+  'hard-light': 'Hard Light', 'color-dodge': 'Color Dodge', 'color-burn': 'Color Burn',
+  'darken': 'Darken', 'lighten': 'Lighten', 'difference': 'Difference', 'exclusion': 'Exclusion',
+  'hue': 'Hue', 'saturation': 'Saturation', 'color': 'Color', 'luminosity': 'Luminosity',
+  'lighter': 'Add (Lighter)', 'source-over': 'Normal',
+};
+const COMPOSITE_LABELS = {
+  'source-in': 'Source In', 'source-out': 'Source Out', 'source-atop': 'Source Atop',
+  'destination-over': 'Behind', 'destination-in': 'Mask (Dest In)', 'destination-out': 'Erase (Dest Out)',
+  'destination-atop': 'Destination Atop', 'xor': 'XOR', 'copy': 'Copy',
+};
+
+/** <option>s for every blend mode, with an optional leading option. */
+function blendOptionsHtml(selected, first = '') {
+  const group = (label, labels) => `<optgroup label="${label}">${BLEND_MODES.filter(m => m in labels)
+    .map(m => `<option value="${m}"${m === selected ? ' selected' : ''}>${labels[m]}</option>`).join('')}</optgroup>`;
+  return first + group('Blend', BLEND_LABELS) + group('Compositing', COMPOSITE_LABELS);
+}
+
+export const LAYER_SLIDERS = [
+  { prop: 'cycles',  min: 1,   max: 6,   step: 1,    def: 1,    fmt: v => Math.round(v), hint: "루프 1회 동안 이 덩어리가 궤적을 완주하는 횟수입니다. 정수만 허용되며, 이를 통해 영상의 끝과 시작이 수학적으로 정확히 이어집니다.<div class='hint-vals'><span class='hint-val'><b>1</b> 느리고 여유로운 움직임</span><span class='hint-val'><b>2~3</b> 적당히 역동적</span><span class='hint-val'><b>4~6</b> 빠르고 복잡한 움직임</span></div>" },
+  { prop: 'range',   min: 50,  max: 600, step: 10,   def: 250,  fmt: v => Math.round(v), hint: "이 덩어리가 돌아다니는 범위입니다.<div class='hint-vals'><span class='hint-val'><b>50</b> 제자리에서 살짝 흔들림</span><span class='hint-val'><b>250</b> 화면 중간 정도 이동</span><span class='hint-val'><b>600</b> 화면 전체를 크게 이동</span></div>" },
+  { prop: 'opacity', min: 0.1, max: 1,   step: 0.05, def: 0.75, fmt: v => v.toFixed(2),  hint: "이 덩어리의 투명도입니다.<div class='hint-vals'><span class='hint-val'><b>0.1</b> 거의 보이지 않는 은은한 색감</span><span class='hint-val'><b>0.75</b> 적당히 또렷함</span><span class='hint-val'><b>1.0</b> 완전히 불투명한 진한 색상</span></div>" },
+  { prop: 'scale',   min: 1,   max: 2,   step: 0.05, def: 1.4,  fmt: v => v.toFixed(2),  hint: "이 덩어리가 커졌다 작아지는 정도입니다.<div class='hint-vals'><span class='hint-val'><b>1.0</b> 크기 변화 없음 (고정)</span><span class='hint-val'><b>1.4</b> 자연스럽게 숨 쉬듯 변화</span><span class='hint-val'><b>2.0</b> 강한 맥동 효과</span></div>" },
+  // Not rolled by the scene generator: a random blur rarely helps
+  { prop: 'blur',    min: 0,   max: 120, step: 5,    def: 0,    fmt: v => Math.round(v), roll: false, hint: "이 덩어리에만 더해지는 블러입니다. Background의 Blur 위에 추가로 적용되어, 또렷한 빛과 흐릿한 빛을 섞은 심도 있는 장면을 만들 수 있습니다.<div class='hint-vals'><span class='hint-val'><b>0</b> 전체 Blur만 적용</span><span class='hint-val'><b>30~60</b> 한 겹 더 부드러운 빛</span><span class='hint-val'><b>120</b> 멀리 있는 듯 크게 번진 빛</span></div>" },
+];
+
+// Noise settings of the flow motion (layer.flow)
+export const FLOW_SLIDERS = [
+  { prop: 'frequency', min: 0.2, max: 3, step: 0.1, def: 1, fmt: v => v.toFixed(1), hint: "Flow 움직임이 한 바퀴 동안 방향을 바꾸는 잦기입니다.<div class='hint-vals'><span class='hint-val'><b>0.2</b> 크고 느린 흐름</span><span class='hint-val'><b>1.0</b> 자연스럽게 굽이침</span><span class='hint-val'><b>3.0</b> 잘게 요동치는 움직임</span></div>" },
+  { prop: 'octaves',   min: 1,   max: 5, step: 1,   def: 2, fmt: v => Math.round(v), hint: "큰 흐름 위에 겹쳐지는 잔물결의 단계 수입니다.<div class='hint-vals'><span class='hint-val'><b>1</b> 매끈한 곡선</span><span class='hint-val'><b>2~3</b> 적당한 잔떨림</span><span class='hint-val'><b>5</b> 거칠고 세밀한 떨림</span></div>" },
+];
+
+// Morphing of the blob shape (layer.blob)
+export const BLOB_SLIDERS = [
+  { prop: 'amplitude', label: 'Morph', min: 0, max: 0.4, step: 0.01, def: 0.12, fmt: v => v.toFixed(2), hint: "Blob 윤곽이 루프 동안 꿈틀거리는 세기입니다.<div class='hint-vals'><span class='hint-val'><b>0</b> 윤곽 고정</span><span class='hint-val'><b>0.12</b> 은은하게 일렁임</span><span class='hint-val'><b>0.4</b> 크게 모양이 변함</span></div>" },
+  { prop: 'speed',     label: 'Morph speed', min: 1, max: 6, step: 1, def: 1, fmt: v => Math.round(v), hint: "루프 1회 동안 윤곽이 일렁이는 횟수입니다. 정수만 허용되어 루프의 끝과 시작의 모양이 정확히 같습니다.<div class='hint-vals'><span class='hint-val'><b>1</b> 느린 변형</span><span class='hint-val'><b>6</b> 빠르게 출렁임</span></div>" },
 ];
 
 // ── Helpers ──
@@ -60,14 +112,19 @@ function capitalize(s) {
 // Icon dropdown component
 // ═══════════════════════════════════════════
 
+// Menus live on <body>, so remember which menu belongs to which dropdown
+const dropdownMenus = new WeakMap();
+
 /**
  * Creates a custom dropdown with SVG icon previews.
+ * Actions are extra menu entries below the options that run onSelect
+ * instead of changing the value; an action with a value also selects it.
  * @param {Array<{value:string, label:string, icon:string}>} options
  * @param {string} currentValue
  * @param {(value:string)=>void} onChange
- * @returns {HTMLElement}
+ * @param {Array<{label:string, icon:string, desc?:string, value?:string, onSelect:()=>void}>} [actions]
  */
-function createIconDropdown(options, currentValue, onChange) {
+function createIconDropdown(options, currentValue, onChange, actions = []) {
   const wrapper = document.createElement('div');
   wrapper.className = 'icon-dropdown';
 
@@ -87,32 +144,66 @@ function createIconDropdown(options, currentValue, onChange) {
   const menu = document.createElement('div');
   menu.className = 'icon-dropdown-menu';
 
-  for (const opt of options) {
+  const close = () => {
+    wrapper.classList.remove('open');
+    menu.style.display = 'none';
+  };
+
+  const select = (opt, item) => {
+    // Update selected display
+    selected.querySelector('.icon-dropdown-icon').innerHTML = opt.icon;
+    selected.querySelector('.icon-dropdown-label').textContent = opt.label;
+    // Update active state
+    menu.querySelectorAll('.icon-dropdown-item').forEach(el => el.classList.remove('active'));
+    item.classList.add('active');
+  };
+
+  const createItem = (entry) => {
     const item = document.createElement('button');
     item.type = 'button';
-    item.className = 'icon-dropdown-item' + (opt.value === currentValue ? ' active' : '');
-    item.dataset.value = opt.value;
+    item.className = 'icon-dropdown-item';
     item.innerHTML = `
-      <span class="icon-dropdown-icon">${opt.icon}</span>
+      <span class="icon-dropdown-icon">${entry.icon}</span>
       <span class="icon-dropdown-text">
-        <span class="icon-dropdown-label">${opt.label}</span>
-        ${opt.desc ? `<span class="icon-dropdown-desc">${opt.desc}</span>` : ''}
+        <span class="icon-dropdown-label">${entry.label}</span>
+        ${entry.desc ? `<span class="icon-dropdown-desc">${entry.desc}</span>` : ''}
       </span>
     `;
+    menu.appendChild(item);
+    return item;
+  };
+
+  const optionItems = new Map();
+  for (const opt of options) {
+    const item = createItem(opt);
+    item.dataset.value = opt.value;
+    if (opt.value === currentValue) item.classList.add('active');
+    optionItems.set(opt.value, item);
     item.addEventListener('click', (e) => {
       e.stopPropagation();
-      // Update selected display
-      selected.querySelector('.icon-dropdown-icon').innerHTML = opt.icon;
-      selected.querySelector('.icon-dropdown-label').textContent = opt.label;
-      // Update active state
-      menu.querySelectorAll('.icon-dropdown-item').forEach(el => el.classList.remove('active'));
-      item.classList.add('active');
-      // Close & callback
-      wrapper.classList.remove('open');
-      menu.style.display = 'none';
+      select(opt, item);
+      close();
       onChange(opt.value);
     });
-    menu.appendChild(item);
+  }
+
+  if (actions.length) {
+    const divider = document.createElement('div');
+    divider.className = 'icon-dropdown-divider';
+    menu.appendChild(divider);
+  }
+  for (const action of actions) {
+    const item = createItem(action);
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      close();
+      action.onSelect();
+      const opt = options.find(o => o.value === action.value);
+      if (opt && !optionItems.get(opt.value).classList.contains('active')) {
+        select(opt, optionItems.get(opt.value));
+        onChange(opt.value);
+      }
+    });
   }
 
   selected.addEventListener('click', (e) => {
@@ -139,9 +230,15 @@ function createIconDropdown(options, currentValue, onChange) {
   wrapper.appendChild(selected);
   // Append menu to body to escape overflow/backdrop-filter containing block
   document.body.appendChild(menu);
+  dropdownMenus.set(wrapper, menu);
   return wrapper;
 }
 
+/** Remove the body-level menus of every icon dropdown inside root. */
+function removeIconDropdownMenus(root) {
+  root.querySelectorAll('.icon-dropdown').forEach(d => dropdownMenus.get(d)?.remove());
+}
+
 // Close icon dropdowns on outside click
 document.addEventListener('click', () => {
   document.querySelectorAll('.icon-dropdown.open').forEach(d => d.classList.remove('open'));
@@ -162,6 +259,7 @@ minimizeBtn.addEventListener('click', () => {
   panel.style.transform = 'scale(0.95)';
   restoreBtn.classList.remove('hidden');
   restoreBtn.classList.add('flex');
+  document.body.classList.add('panel-minimized');
 });
 
 restoreBtn.addEventListener('click', () => {
@@ -170,8 +268,15 @@ restoreBtn.addEventListener('click', () => {
   panel.style.transform = '';
   restoreBtn.classList.add('hidden');
   restoreBtn.classList.remove('flex');
+  document.body.classList.remove('panel-minimized');
 });
 
+/** Minimize or restore the panel (same as the toolbar buttons). */
+export function togglePanel() {
+  if (restoreBtn.classList.contains('hidden')) minimizeBtn.click();
+  else restoreBtn.click();
+}
+
 // ═══════════════════════════════════════════
 // Collapsible section toggles
 // ═══════════════════════════════════════════
@@ -214,7 +319,7 @@ const blendModeSelect = document.getElementById('blend-mode');
 let blendModeManual = false; // true if user explicitly picked a blend mode
 
 /** Parse hex color to relative luminance (0 = black, 1 = white). */
-function hexLuminance(hex) {
+export function hexLuminance(hex) {
   const r = parseInt(hex.slice(1, 3), 16) / 255;
   const g = parseInt(hex.slice(3, 5), 16) / 255;
   const b = parseInt(hex.slice(5, 7), 16) / 255;
@@ -222,7 +327,7 @@ function hexLuminance(hex) {
 }
 
 /** Auto-select blend mode based on background brightness. */
-function autoBlendMode(hex) {
+export function autoBlendMode(hex) {
   const lum = hexLuminance(hex);
   // dark → screen (additive light), bright → multiply (subtractive color)
   return lum > 0.5 ? 'multiply' : 'screen';
@@ -241,53 +346,481 @@ bgColorInput.addEventListener('input', () => {
 bindRange('blur', 'blur', v => Math.round(v));
 
 // Blend mode
+blendModeSelect.innerHTML = blendOptionsHtml(renderer.settings.blendMode);
 blendModeSelect.addEventListener('change', () => {
   blendModeManual = true;
   renderer.updateSettings({ blendMode: blendModeSelect.value });
 });
 
+// ═══════════════════════════════════════════
+// Keyframe editor
+// ═══════════════════════════════════════════
+
+const KEYFRAME_LABELS = {
+  bgColor: 'Background',
+  blur: 'Blur',
+  color: 'Color',
+  opacity: 'Opacity',
+  range: 'Range',
+  scale: 'Scale',
+};
+
+const EASING_LABELS = {
+  linear: 'Linear',
+  easeIn: 'Ease in',
+  easeOut: 'Ease out',
+  easeInOut: 'Ease in-out',
+  hold: 'Hold',
+};
+
+const KEYFRAME_HINT = "선택한 속성에 현재 재생 시간 기준으로 키프레임을 추가합니다. 키프레임 사이의 값은 이징 곡선으로 보간되고, 마지막 키프레임은 첫 키프레임으로 되돌아가므로 루프가 끊김 없이 이어집니다. 키프레임이 있는 속성은 위의 기본 값 대신 트랙 값을 따릅니다.<div class='hint-vals'><span class='hint-val'><b>Ease</b> 해당 키프레임에서 다음 키프레임까지의 변화 곡선</span><span class='hint-val'><b>Hold</b> 다음 키프레임까지 값을 유지했다가 한 번에 전환</span><span class='hint-val'><b>마커 클릭</b> 그 시점으로 이동</span></div>";
+
+/** Input constraints for a keyframe value (mirrors the property's own control). */
+function keyframeValueInput(key) {
+  if (KEYFRAME_PROPS[key].type === 'color') return { type: 'color' };
+  if (key === 'blur') return { type: 'number', min: BLUR_RANGE.min, max: BLUR_RANGE.max, step: 5 };
+  const sl = LAYER_SLIDERS.find(s => s.prop === key);
+  return { type: 'number', min: sl.min, max: sl.max, step: sl.step };
+}
+
+function trackPath(key, layerId) {
+  return layerId == null ? key : `${layerId}.${key}`;
+}
+
+function loopPhase(time) {
+  const loopMs = renderer.settings.loopDuration || 10000;
+  return (((time / loopMs) % 1) + 1) % 1;
+}
+
+/** Replace one track (sorted by t); an empty track is removed. */
+function setKeyframeTrack(path, track) {
+  const keyframes = { ...renderer.settings.keyframes };
+  if (track.length) keyframes[path] = [...track].sort((a, b) => a.t - b.t);
+  else delete keyframes[path];
+  renderer.updateSettings({ keyframes });
+  if (path === 'blur') renderer.updateBlur();
+}
+
+/**
+ * Keyframe editor for a set of properties: a property picker with an add
+ * button, then one timeline strip and key list per animated property.
+ * @param {string[]} keys property keys from KEYFRAME_PROPS
+ * @param {string} [layerId] layer id for per-layer properties
+ * @returns {HTMLElement}
+ */
+function createKeyframeEditor(keys, layerId) {
+  const editor = document.createElement('div');
+  editor.className = 'keyframe-editor';
+
+  const head = document.createElement('div');
+  head.className = 'layer-config-row';
+  head.innerHTML = `
+    <span class="layer-config-row-label">Keys <span class="hint-btn" data-hint="${KEYFRAME_HINT}">i</span></span>
+    <div class="layer-config-row-input">
+      <select class="select-input select-sm keyframe-prop">
+        ${keys.map(key => `<option value="${key}">${KEYFRAME_LABELS[key]}</option>`).join('')}
+      </select>
+      <button type="button" class="panel-toolbar-btn keyframe-add" title="현재 시간에 키프레임 추가">
+        <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M5 1.5v7M1.5 5h7" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>
+      </button>
+    </div>
+  `;
+  const propSelect = head.querySelector('.keyframe-prop');
+  editor.appendChild(head);
+
+  const tracksEl = document.createElement('div');
+  editor.appendChild(tracksEl);
+
+  const render = () => {
+    tracksEl.innerHTML = '';
+    const loopSec = (renderer.settings.loopDuration || 10000) / 1000;
+
+    for (const key of keys) {
+      const path = trackPath(key, layerId);
+      const track = renderer.settings.keyframes[path];
+      if (!track?.length) continue;
+      const input = keyframeValueInput(key);
+
+      const trackEl = document.createElement('div');
+      trackEl.className = 'keyframe-track';
+      trackEl.innerHTML = `
+        <div class="keyframe-track-head">
+          <span>${KEYFRAME_LABELS[key]}</span>
+          <button type="button" class="keyframe-remove" title="트랙 삭제">×</button>
+        </div>
+        <div class="keyframe-strip">
+          <span class="keyframe-playhead"></span>
+        </div>
+      `;
+      trackEl.querySelector('.keyframe-remove').addEventListener('click', () => {
+        setKeyframeTrack(path, []);
+        render();
+      });
+
+      const strip = trackEl.querySelector('.keyframe-strip');
+      track.forEach((kf, k) => {
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = 'keyframe-marker';
+        marker.style.left = `${kf.t * 100}%`;
+        marker.title = `${(kf.t * loopSec).toFixed(2)}s`;
+        marker.addEventListener('click', () => {
+          renderer.pause();
+          renderer.seek(kf.t * loopSec * 1000);
+        });
+        strip.appendChild(marker);
+
+        const row = document.createElement('div');
+        row.className = 'keyframe-row';
+        row.innerHTML = `
+          <input type="number" class="number-input keyframe-time" min="0" max="${loopSec}" step="0.1"
+                 value="${+(kf.t * loopSec).toFixed(2)}" title="시간 (초)" />
+          ${input.type === 'color'
+            ? `<input type="color" class="color-input color-input-sm keyframe-value" value="${kf.value}" />`
+            : `<input type="number" class="number-input keyframe-value" min="${input.min}" max="${input.max}" step="${input.step}" value="${kf.value}" />`}
+          <select class="select-input select-sm keyframe-ease">
+            ${Object.keys(EASINGS).map(e => `<option value="${e}"${e === kf.ease ? ' selected' : ''}>${EASING_LABELS[e]}</option>`).join('')}
+          </select>
+          <button type="button" class="keyframe-remove" title="키프레임 삭제">×</button>
+        `;
+
+        // Read the live track: earlier edits have replaced the array
+        const updateKey = (patch) => {
+          const current = renderer.settings.keyframes[path];
+          setKeyframeTrack(path, current.map((other, j) => (j === k ? { ...other, ...patch } : other)));
+        };
+
+        row.querySelector('.keyframe-time').addEventListener('change', (e) => {
+          const sec = parseFloat(e.target.value);
+          if (!Number.isFinite(sec)) return render();
+          // Phase 1 is phase 0 of the next loop
+          updateKey({ t: loopPhase(Math.max(0, sec) * 1000) });
+          render();
+        });
+
+        row.querySelector('.keyframe-value').addEventListener(input.type === 'color' ? 'input' : 'change', (e) => {
+          let value = e.target.value;
+          if (input.type === 'number') {
+            value = parseFloat(value);
+            if (!Number.isFinite(value)) return render();
+            value = Math.min(input.max, Math.max(input.min, value));
+            e.target.value = value;
+          }
+          updateKey({ value });
+        });
+
+        row.querySelector('.keyframe-ease').addEventListener('change', (e) => {
+          updateKey({ ease: e.target.value });
+        });
+
+        row.querySelector('.keyframe-remove').addEventListener('click', () => {
+          setKeyframeTrack(path, renderer.settings.keyframes[path].filter((_, j) => j !== k));
+          render();
+        });
+
+        trackEl.appendChild(row);
+      });
+
+      tracksEl.appendChild(trackEl);
+    }
+  };
+
+  // Add a key at the playhead holding the value currently on screen
+  head.querySelector('.keyframe-add').addEventListener('click', () => {
+    const key = propSelect.value;
+    const path = trackPath(key, layerId);
+    const t = loopPhase(renderer.currentTime);
+    const current = renderer.settingsAt(renderer.currentTime);
+    const value = layerId == null ? current[key] : current.layers.find(l => l.id === layerId)[key];
+    const track = (renderer.settings.keyframes[path] || []).filter(kf => Math.abs(kf.t - t) > 1e-3);
+    setKeyframeTrack(path, [...track, { t, value, ease: 'easeInOut' }]);
+    render();
+  });
+
+  render();
+  return editor;
+}
+
+// Move every strip's playhead with the preview
+renderer.onFrame((time) => {
+  const left = `${loopPhase(time) * 100}%`;
+  document.querySelectorAll('.keyframe-playhead').forEach(el => { el.style.left = left; });
+});
+
+const globalKeyframes = document.getElementById('global-keyframes');
+
+function buildGlobalKeyframes() {
+  globalKeyframes.innerHTML = '';
+  globalKeyframes.appendChild(createKeyframeEditor(['bgColor', 'blur']));
+}
+
+// ═══════════════════════════════════════════
+// Gradient editor
+// ═══════════════════════════════════════════
+
+const GRADIENT_HINT = "이 덩어리를 채우는 방사형 그라디언트입니다. 막대의 왼쪽이 중심, 오른쪽이 가장자리이며, 막대를 클릭하면 색 지점이 추가되고 지점을 드래그하면 위치가 바뀝니다. 선택한 지점의 색과 투명도는 아래 줄에서 바꿉니다.<div class='hint-vals'><span class='hint-val'><b>2~5개</b> 색 지점 수</span><span class='hint-val'><b>링크</b> 레이어 Color를 따라가는 지점 (Color 키프레임도 적용)</span></div>";
+const SOFTNESS_HINT = "가장자리가 흐려지는 정도입니다. 색 지점들을 중심 쪽이나 바깥쪽으로 몰아 줍니다.<div class='hint-vals'><span class='hint-val'><b>0</b> 속이 꽉 찬 또렷한 윤곽</span><span class='hint-val'><b>0.5</b> 지점 위치 그대로</span><span class='hint-val'><b>1</b> 중심만 밝고 넓게 번짐</span></div>";
+
+/** CSS radial-gradient() of a layer's fill, for swatches. */
+function gradientCss(layer) {
+  const stops = layerGradientStops(layer).map(s => `${s.color} ${(s.offset * 100).toFixed(1)}%`);
+  return `radial-gradient(circle closest-side, ${stops.join(', ')})`;
+}
+
+/**
+ * Stop bar plus controls for the selected stop and the softness slider.
+ * Every edit replaces layer.gradient through renderer.updateLayer().
+ */
+function createGradientEditor(id) {
+  const editor = document.createElement('div');
+  editor.className = 'gradient-editor';
+  let selectedIndex = 0;
+
+  const currentLayer = () => renderer.settings.layers.find(l => l.id === id);
+  const setGradient = (patch) => {
+    renderer.updateLayer(id, { gradient: { ...currentLayer().gradient, ...patch } });
+  };
+  const updateStop = (index, patch) => {
+    const { stops } = currentLayer().gradient;
+    setGradient({ stops: stops.map((stop, k) => (k === index ? { ...stop, ...patch } : stop)) });
+  };
+
+  editor.innerHTML = `
+    <div class="layer-config-row">
+      <span class="layer-config-row-label">Gradient <span class="hint-btn" data-hint="${GRADIENT_HINT}">i</span></span>
+      <div class="gradient-bar"><div class="gradient-bar-fill"></div></div>
+    </div>
+    <div class="layer-config-row gradient-stop-row">
+      <span class="layer-config-row-label">Stop</span>
+      <div class="layer-config-row-input">
+        <input type="color" class="color-input color-input-sm gradient-stop-color" />
+        <button type="button" class="layer-item-action gradient-stop-link" title="레이어 Color 따라가기">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M4.2 5.8L5.8 4.2M3.6 4.4L2.4 5.6a1.7 1.7 0 002.4 2.4l1.2-1.2M6.4 5.6l1.2-1.2a1.7 1.7 0 00-2.4-2.4L4 3.2" stroke="currentColor" stroke-width="1.1" stroke-linecap="round"/></svg>
+        </button>
+        <input type="range" min="0" max="1" step="0.05" class="slider slider-sm gradient-stop-alpha" title="투명도" />
+        <button type="button" class="layer-item-action gradient-stop-remove" title="지점 삭제">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2 2l6 6M8 2l-6 6" stroke="currentColor" stroke-width="1.3" stroke-linecap="round"/></svg>
+        </button>
+      </div>
+    </div>
+    <div class="layer-config-row">
+      <span class="layer-config-row-label">Softness <span class="hint-btn" data-hint="${SOFTNESS_HINT}">i</span></span>
+      <div class="layer-config-row-input">
+        <input type="range" min="0" max="1" step="0.05" class="slider slider-sm gradient-softness" />
+        <span class="layer-config-val gradient-softness-val"></span>
+      </div>
+    </div>
+  `;
+  const bar = editor.querySelector('.gradient-bar');
+  const barFill = editor.querySelector('.gradient-bar-fill');
+  const colorInput = editor.querySelector('.gradient-stop-color');
+  const linkBtn = editor.querySelector('.gradient-stop-link');
+  const alphaInput = editor.querySelector('.gradient-stop-alpha');
+  const removeBtn = editor.querySelector('.gradient-stop-remove');
+  const softnessInput = editor.querySelector('.gradient-softness');
+  const softnessVal = editor.querySelector('.gradient-softness-val');
+
+  const render = () => {
+    const layer = currentLayer();
+    if (!layer) return;
+    const { stops, softness } = layer.gradient;
+    selectedIndex = Math.min(selectedIndex, stops.length - 1);
+
+    // The bar reads center → edge, so draw it as a linear gradient
+    barFill.style.background = `linear-gradient(to right, ${layerGradientStops(layer)
+      .map(s => `${s.color} ${(s.offset * 100).toFixed(1)}%`).join(', ')})`;
+    bar.querySelectorAll('.gradient-marker').forEach(el => el.remove());
+    stops.forEach((stop, k) => {
+      const marker = document.createElement('button');
+      marker.type = 'button';
+      marker.className = `gradient-marker${k === selectedIndex ? ' active' : ''}`;
+      marker.style.left = `${stop.pos * 100}%`;
+      marker.style.background = stop.color ?? layer.color;
+      marker.dataset.index = k;
+      bar.appendChild(marker);
+    });
+
+    const stop = stops[selectedIndex];
+    colorInput.value = stop.color ?? layer.color;
+    linkBtn.classList.toggle('active', stop.color === null);
+    alphaInput.value = stop.alpha;
+    removeBtn.disabled = stops.length <= MIN_GRADIENT_STOPS;
+    softnessInput.value = softness;
+    softnessVal.textContent = softness.toFixed(2);
+  };
+
+  const barPos = (e) => {
+    const rect = bar.getBoundingClientRect();
+    return Math.round(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) * 100) / 100;
+  };
+
+  // Click the bar to add a stop, drag a marker to move it
+  bar.addEventListener('pointerdown', (e) => {
+    const marker = e.target.closest('.gradient-marker');
+    if (marker) {
+      selectedIndex = Number(marker.dataset.index);
+      bar.setPointerCapture(e.pointerId);
+      bar.dataset.dragging = 'true';
+      render();
+      return;
+    }
+    const { stops } = currentLayer().gradient;
+    if (stops.length >= MAX_GRADIENT_STOPS) return;
+    const pos = barPos(e);
+    // A new stop takes the alpha the fill already has there
+    const sorted = [...stops].sort((a, b) => a.pos - b.pos);
+    const after = sorted.find(s => s.pos >= pos) ?? sorted[sorted.length - 1];
+    const before = [...sorted].reverse().find(s => s.pos <= pos) ?? sorted[0];
+    const span = after.pos - before.pos;
+    const alpha = span > 0 ? before.alpha + (after.alpha - before.alpha) * ((pos - before.pos) / span) : before.alpha;
+    setGradient({ stops: [...stops, { pos, color: null, alpha: Math.round(alpha * 100) / 100 }] });
+    selectedIndex = stops.length;
+    render();
+  });
+  bar.addEventListener('pointermove', (e) => {
+    if (bar.dataset.dragging !== 'true') return;
+    updateStop(selectedIndex, { pos: barPos(e) });
+    render();
+  });
+  bar.addEventListener('pointerup', () => {
+    delete bar.dataset.dragging;
+  });
+
+  colorInput.addEventListener('input', (e) => {
+    updateStop(selectedIndex, { color: e.target.value });
+    render();
+  });
+  linkBtn.addEventListener('click', () => {
+    updateStop(selectedIndex, { color: null });
+    render();
+  });
+  alphaInput.addEventListener('input', (e) => {
+    updateStop(selectedIndex, { alpha: parseFloat(e.target.value) });
+    render();
+  });
+  removeBtn.addEventListener('click', () => {
+    const { stops } = currentLayer().gradient;
+    if (stops.length <= MIN_GRADIENT_STOPS) return;
+    setGradient({ stops: stops.filter((_, k) => k !== selectedIndex) });
+    render();
+  });
+  softnessInput.addEventListener('input', (e) => {
+    setGradient({ softness: parseFloat(e.target.value) });
+    render();
+  });
+
+  // Lets the layer Color picker redraw stops that follow it
+  editor.refresh = render;
+  render();
+  return editor;
+}
+
 // ═══════════════════════════════════════════
 // Per-layer configuration
 // ═══════════════════════════════════════════
 
-const layerCountInput = document.getElementById('layer-count');
 const layerCountVal = document.getElementById('layer-count-val');
+const layerAddBtn = document.getElementById('layer-add');
 const layerConfigsContainer = document.getElementById('layer-configs');
 
-function buildLayerConfigs() {
-  const count = parseInt(layerCountInput.value);
-  layerConfigsContainer.innerHTML = '';
-  const s = renderer.settings;
+const LAYER_BLEND_HINT = "이 덩어리가 아래에 그려진 것과 합성되는 방식입니다. Auto는 Background의 Blend를 따르며, 배경 밝기에 따른 자동 전환도 Auto 레이어에만 적용됩니다.<div class='hint-vals'><span class='hint-val'><b>Blend</b> Screen·Color Dodge·Hue 등 색을 섞는 방식</span><span class='hint-val'><b>Compositing</b> Mask·Erase 등 아래 그림을 가리거나 지우는 방식. 투명 내보내기와 함께 쓰면 유용</span></div>";
+const BLOB_SEED_HINT = "Blob 윤곽 모양을 정하는 시드입니다. 주사위 버튼이나 Shape 메뉴의 Reroll blob으로 새 모양을 뽑을 수 있습니다.<div class='hint-vals'><span class='hint-val'><b>0~99999</b> 주사위로 뽑는 시드 범위</span></div>";
+const FLOW_SEED_HINT = "Flow 움직임의 노이즈 패턴을 정하는 번호입니다. 같은 시드는 언제나 같은 움직임을 만들고, 주사위 버튼으로 새 패턴을 뽑을 수 있습니다.<div class='hint-vals'><span class='hint-val'><b>0~99999</b> 주사위로 뽑는 시드 범위</span></div>";
+const MEDIA_HINT = "Image 모양이 그리는 사진 또는 영상입니다. 긴 변이 덩어리 반지름만큼의 크기로 기준 위치에 놓이고, Motion·Scale·Opacity·Blend와 블러가 다른 레이어와 똑같이 적용됩니다(Color와 Gradient는 쓰이지 않음). 파일은 장면에 함께 저장됩니다.<div class='hint-vals'><span class='hint-val'><b>이미지</b> PNG·JPEG·WebP·GIF, 4MB까지</span><span class='hint-val'><b>영상</b> MP4·WebM, 16MB까지. 소리 없이 원래 속도로 반복 재생되며, 길이가 루프 길이의 약수면 이음새 없이 이어짐</span></div>";
+const PATH_HINT = "Path 움직임이 따라가는 닫힌 곡선입니다. 연필 버튼을 누른 뒤 프리뷰를 클릭해 점을 찍고, 첫 점을 다시 클릭하거나 더블클릭 또는 Enter로 경로를 닫습니다(Esc는 취소). 위치 편집(P)이 켜져 있으면 점과 곡선 핸들을 드래그해 다듬을 수 있습니다. 경로는 기준 위치를 따라 움직이고 캔버스 크기에 맞춰 늘어납니다.<div class='hint-vals'><span class='hint-val'><b>Cycles</b> 루프 1회 동안 경로를 도는 바퀴 수</span><span class='hint-val'><b>None</b> 경로가 없으면 제자리에 머무름</span></div>";
+const ANCHOR_HINT = "이 덩어리의 기준 위치(움직임의 중심)입니다. 프리뷰 하단의 위치 편집 버튼(P)을 켜면 캔버스에 핸들과 움직임 경로가 표시되며, 핸들을 드래그해 위치를 정할 수 있습니다. 핸들과 경로는 내보내기에 포함되지 않습니다.<div class='hint-vals'><span class='hint-val'><b>Auto</b> 레이어마다 자동으로 흩어진 기본 위치</span><span class='hint-val'><b>x%, y%</b> 화면 너비·높이 기준 직접 지정한 위치</span><span class='hint-val'><b>더블클릭 / ↺</b> 자동 위치로 되돌리기</span></div>";
 
-  for (let i = 0; i < count; i++) {
-    // Ensure defaults
-    const color  = s.layerColors[i]  || DEFAULT_COLORS[i % DEFAULT_COLORS.length];
-    const shape  = s.layerShapes[i]  || SHAPE_TYPES.circle;
-    const motion = s.layerMotions[i] || MOTION_TYPES.lissajous;
+const LAYER_KEYFRAME_KEYS = Object.keys(KEYFRAME_PROPS).filter(key => KEYFRAME_PROPS[key].layer);
 
-    s.layerColors[i]  = color;
-    s.layerShapes[i]  = shape;
-    s.layerMotions[i] = motion;
+let draggedLayerId = null;
 
-    for (const sl of LAYER_SLIDERS) {
-      if (s[sl.key][i] == null) s[sl.key][i] = sl.def;
-    }
+function buildLayerConfigs() {
+  // Keep expanded layers expanded across rebuilds
+  const openLayers = new Set(
+    [...layerConfigsContainer.querySelectorAll('.layer-item.open')].map(el => el.dataset.layer)
+  );
+  removeIconDropdownMenus(layerConfigsContainer);
+  layerConfigsContainer.innerHTML = '';
+  const layers = renderer.settings.layers;
+  layerCountVal.textContent = layers.length;
+
+  layers.forEach((layer, i) => {
+    const { id } = layer;
 
     // Build collapsible layer item
     const item = document.createElement('div');
     item.className = 'layer-item';
-    item.dataset.layer = i;
+    item.dataset.layer = id;
+    if (openLayers.has(id)) item.classList.add('open');
 
-    // Toggle header with color swatch preview
-    const header = document.createElement('button');
+    // Toggle header with color swatch preview; dragging it reorders the layer
+    const header = document.createElement('div');
     header.className = 'layer-item-toggle';
-    header.type = 'button';
+    header.draggable = true;
     header.innerHTML = `
+      <span class="layer-item-grip" title="드래그하여 순서 변경">⋮⋮</span>
       <span class="layer-item-chevron">›</span>
       <span class="layer-item-label">Layer ${i + 1}</span>
-      <span class="layer-color-swatch" style="background: ${color}"></span>
+      <span class="layer-color-swatch" style="background: ${gradientCss(layer)}"></span>
+      <span class="layer-item-actions">
+        <button type="button" class="layer-item-action layer-lock${layer.locked ? ' active' : ''}" data-action="lock" title="생성기에서 이 레이어 고정">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><rect x="2" y="4.5" width="6" height="4.5" rx="1" stroke="currentColor" stroke-width="1.1"/><path d="M3.5 4.5V3a1.5 1.5 0 013 0v1.5" stroke="currentColor" stroke-width="1.1"/></svg>
+        </button>
+        <button type="button" class="layer-item-action" data-action="duplicate" title="레이어 복제">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><rect x="3" y="3" width="6" height="6" rx="1" stroke="currentColor" stroke-width="1.1"/><path d="M1 7V2a1 1 0 011-1h5" stroke="currentColor" stroke-width="1.1"/></svg>
+        </button>
+        <button type="button" class="layer-item-action" data-action="delete" title="레이어 삭제"${layers.length <= 1 ? ' disabled' : ''}>
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2 2l6 6M8 2l-6 6" stroke="currentColor" stroke-width="1.3" stroke-linecap="round"/></svg>
+        </button>
+      </span>
     `;
-    header.addEventListener('click', () => item.classList.toggle('open'));
+    header.addEventListener('click', (e) => {
+      const action = e.target.closest('.layer-item-action');
+      if (!action) {
+        item.classList.toggle('open');
+        return;
+      }
+      if (action.dataset.action === 'lock') {
+        const locked = !renderer.settings.layers.find(l => l.id === id).locked;
+        renderer.updateLayer(id, { locked });
+        action.classList.toggle('active', locked);
+      } else if (action.dataset.action === 'duplicate') {
+        const copy = renderer.duplicateLayer(id);
+        buildLayerConfigs();
+        layerConfigsContainer.querySelector(`.layer-item[data-layer="${copy.id}"]`)?.classList.add('open');
+      } else {
+        removeLayer(id);
+      }
+    });
+
+    header.addEventListener('dragstart', (e) => {
+      draggedLayerId = id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', id);
+      item.classList.add('dragging');
+    });
+    header.addEventListener('dragend', () => {
+      draggedLayerId = null;
+      item.classList.remove('dragging');
+      clearDropMarkers();
+    });
+
+    item.addEventListener('dragover', (e) => {
+      if (!draggedLayerId || draggedLayerId === id) return;
+      e.preventDefault();
+      const after = isLowerHalf(e, item);
+      clearDropMarkers();
+      item.classList.add(after ? 'drop-after' : 'drop-before');
+    });
+    item.addEventListener('drop', (e) => {
+      if (!draggedLayerId || draggedLayerId === id) return;
+      e.preventDefault();
+      const from = layers.findIndex(l => l.id === draggedLayerId);
+      let to = i + (isLowerHalf(e, item) ? 1 : 0);
+      if (from < to) to--; // the dragged layer leaves its old slot first
+      renderer.moveLayer(draggedLayerId, to);
+      buildLayerConfigs();
+    });
 
     // Body
     const body = document.createElement('div');
@@ -301,9 +834,10 @@ function buildLayerConfigs() {
     colorRow.className = 'layer-config-row';
     colorRow.innerHTML = `
       <span class="layer-config-row-label">Color</span>
-      <input type="color" value="${color}" data-layer="${i}" class="color-input color-input-sm layer-color-picker" />
+      <input type="color" value="${layer.color}" data-layer="${id}" class="color-input color-input-sm layer-color-picker" />
     `;
     content.appendChild(colorRow);
+    content.appendChild(createGradientEditor(id));
 
     // Shape icon dropdown row
     const shapeRow = document.createElement('div');
@@ -312,11 +846,45 @@ function buildLayerConfigs() {
     shapeLabel.className = 'layer-config-row-label';
     shapeLabel.textContent = 'Shape';
     shapeRow.appendChild(shapeLabel);
-    shapeRow.appendChild(createIconDropdown(SHAPE_OPTIONS, shape, (val) => {
-      renderer.settings.layerShapes[i] = val;
-    }));
+    shapeRow.appendChild(createIconDropdown(SHAPE_OPTIONS, layer.shape, (val) => {
+      renderer.updateLayer(id, { shape: val });
+      blobRows.forEach(row => row.classList.toggle('hidden', val !== 'blob'));
+      mediaRow.classList.toggle('hidden', val !== 'image');
+      // An image shape needs a picture, so ask for one right away
+      if (val === 'image' && !renderer.settings.layers.find(l => l.id === id)?.media) pickLayerMedia(id);
+    }, [{
+      label: 'Reroll blob',
+      icon: SHAPE_ICONS.reroll,
+      desc: '새 시드로 Blob 윤곽을 다시 뽑습니다. Blob이 아니면 Blob으로 바뀜.',
+      value: 'blob',
+      onSelect: () => rerollSeed(id, 'blob'),
+    }]));
     content.appendChild(shapeRow);
 
+    // Blob rows (only for the blob shape)
+    const blobHidden = layer.shape !== 'blob';
+    const blobRows = [
+      createSeedRow(id, 'blob', 'Outline', BLOB_SEED_HINT, blobHidden),
+      ...BLOB_SLIDERS.map(sl => createGroupSliderRow(id, 'blob', sl, blobHidden)),
+    ];
+    blobRows.forEach(row => content.appendChild(row));
+
+    // Media row (only for the image shape)
+    const mediaRow = document.createElement('div');
+    mediaRow.className = `layer-config-row${layer.shape === 'image' ? '' : ' hidden'}`;
+    mediaRow.innerHTML = `
+      <span class="layer-config-row-label">Source <span class="hint-btn" data-hint="${MEDIA_HINT}">i</span></span>
+      <div class="layer-config-row-input">
+        <span class="layer-config-val layer-media-val"></span>
+        <button type="button" class="layer-item-action" title="사진 또는 영상 선택">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><rect x="1" y="1.5" width="8" height="7" rx="1" stroke="currentColor" stroke-width="1.1"/><path d="M1.5 7.5l2.5-2.5 1.5 1.5 1-1 2 2" stroke="currentColor" stroke-width="1" stroke-linejoin="round"/></svg>
+        </button>
+      </div>
+    `;
+    mediaRow.querySelector('.layer-media-val').textContent = layer.media ? layer.media.name || capitalize(layer.media.type) : 'None';
+    mediaRow.querySelector('.layer-item-action').addEventListener('click', () => pickLayerMedia(id));
+    content.appendChild(mediaRow);
+
     // Motion icon dropdown row
     const motionRow = document.createElement('div');
     motionRow.className = 'layer-config-row';
@@ -324,62 +892,215 @@ function buildLayerConfigs() {
     motionLabel.className = 'layer-config-row-label';
     motionLabel.textContent = 'Motion';
     motionRow.appendChild(motionLabel);
-    motionRow.appendChild(createIconDropdown(MOTION_OPTIONS, motion, (val) => {
-      renderer.settings.layerMotions[i] = val;
+    motionRow.appendChild(createIconDropdown(MOTION_OPTIONS, layer.motion, (val) => {
+      renderer.updateLayer(id, { motion: val });
+      pathRow.classList.toggle('hidden', val !== 'path');
+      flowRows.forEach(row => row.classList.toggle('hidden', val !== 'flow'));
+      // A path motion needs a path, so start drawing one right away
+      if (val === 'path' && !renderer.settings.layers.find(l => l.id === id)?.path) startPathDrawing(id);
     }));
     content.appendChild(motionRow);
 
+    // Path row (only for the path motion)
+    const pathRow = document.createElement('div');
+    pathRow.className = `layer-config-row${layer.motion === 'path' ? '' : ' hidden'}`;
+    pathRow.innerHTML = `
+      <span class="layer-config-row-label">Path <span class="hint-btn" data-hint="${PATH_HINT}">i</span></span>
+      <div class="layer-config-row-input">
+        <span class="layer-config-val layer-path-val" data-layer="${id}">${formatPath(layer.path)}</span>
+        <button type="button" class="layer-item-action" data-path-action="draw" title="경로 새로 그리기">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M1.5 8.5L2 6.5L6.8 1.7L8.3 3.2L3.5 8L1.5 8.5Z" stroke="currentColor" stroke-width="1.1" stroke-linejoin="round"/></svg>
+        </button>
+        <button type="button" class="layer-item-action" data-path-action="clear" title="경로 지우기">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2 2L8 8M8 2L2 8" stroke="currentColor" stroke-width="1.2" stroke-linecap="round"/></svg>
+        </button>
+      </div>
+    `;
+    pathRow.querySelector('[data-path-action="draw"]').addEventListener('click', () => startPathDrawing(id));
+    pathRow.querySelector('[data-path-action="clear"]').addEventListener('click', () => {
+      renderer.updateLayer(id, { path: null });
+    });
+    content.appendChild(pathRow);
+
+    // Flow rows (only for the flow motion)
+    const flowHidden = layer.motion !== 'flow';
+    const flowRows = [
+      createSeedRow(id, 'flow', 'Seed', FLOW_SEED_HINT, flowHidden),
+      ...FLOW_SLIDERS.map(sl => createGroupSliderRow(id, 'flow', sl, flowHidden)),
+    ];
+    flowRows.forEach(row => content.appendChild(row));
+
+    // Position row (edited by dragging handles on the preview)
+    const anchorRow = document.createElement('div');
+    anchorRow.className = 'layer-config-row';
+    anchorRow.innerHTML = `
+      <span class="layer-config-row-label">Position <span class="hint-btn" data-hint="${ANCHOR_HINT}">i</span></span>
+      <div class="layer-config-row-input">
+        <span class="layer-config-val layer-anchor-val" data-layer="${id}">${formatAnchor(layer.anchor)}</span>
+        <button type="button" class="layer-item-action" title="자동 위치로 되돌리기">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2 5a3 3 0 103-3H3M3 0.8L1.8 2 3 3.2" stroke="currentColor" stroke-width="1.1" stroke-linecap="round" stroke-linejoin="round"/></svg>
+        </button>
+      </div>
+    `;
+    anchorRow.querySelector('.layer-item-action').addEventListener('click', () => {
+      renderer.updateLayer(id, { anchor: null });
+    });
+    content.appendChild(anchorRow);
+
+    // Blend row (Auto follows the Background blend mode)
+    const blendRow = document.createElement('div');
+    blendRow.className = 'layer-config-row';
+    blendRow.innerHTML = `
+      <span class="layer-config-row-label">Blend <span class="hint-btn" data-hint="${LAYER_BLEND_HINT}">i</span></span>
+      <select class="select-input select-sm layer-blend">
+        ${blendOptionsHtml(layer.blendMode, `<option value=""${layer.blendMode ? '' : ' selected'}>Auto</option>`)}
+      </select>
+    `;
+    blendRow.querySelector('.layer-blend').addEventListener('change', (e) => {
+      renderer.updateLayer(id, { blendMode: e.target.value || null });
+    });
+    content.appendChild(blendRow);
+
     // Slider rows
     for (const sl of LAYER_SLIDERS) {
-      const val = s[sl.key][i];
+      const val = layer[sl.prop];
       const row = document.createElement('div');
       row.className = 'layer-config-row';
       row.innerHTML = `
         <span class="layer-config-row-label">${capitalize(sl.prop)} <span class="hint-btn" data-hint="${sl.hint}">i</span></span>
         <div class="layer-config-row-input">
           <input type="range" min="${sl.min}" max="${sl.max}" step="${sl.step}" value="${val}"
-                 data-layer="${i}" data-prop="${sl.prop}" data-key="${sl.key}"
+                 data-layer="${id}" data-prop="${sl.prop}"
                  class="slider slider-sm layer-slider" />
-          <span class="layer-config-val" data-layer="${i}" data-valprop="${sl.prop}">${sl.fmt(val)}</span>
+          <span class="layer-config-val" data-layer="${id}" data-valprop="${sl.prop}">${sl.fmt(val)}</span>
         </div>
       `;
       content.appendChild(row);
     }
 
+    content.appendChild(createKeyframeEditor(LAYER_KEYFRAME_KEYS, id));
+
     body.appendChild(content);
     item.appendChild(header);
     item.appendChild(body);
     layerConfigsContainer.appendChild(item);
-  }
+  });
 
   bindLayerEvents();
 }
 
+function formatAnchor(anchor) {
+  return anchor ? `${Math.round(anchor.x * 100)}%, ${Math.round(anchor.y * 100)}%` : 'Auto';
+}
+
+const SEED_MAX = 99999; // rerolls pick below this
+
+/** Give layer[group] (flow or blob) a fresh random seed. */
+function rerollSeed(id, group) {
+  const layer = renderer.settings.layers.find(l => l.id === id);
+  const seed = Math.floor(Math.random() * (SEED_MAX + 1));
+  renderer.updateLayer(id, { [group]: { ...layer[group], seed } });
+}
+
+/** Row showing layer[group].seed with a reroll button. */
+function createSeedRow(id, group, label, hint, hidden) {
+  const layer = renderer.settings.layers.find(l => l.id === id);
+  const row = document.createElement('div');
+  row.className = `layer-config-row${hidden ? ' hidden' : ''}`;
+  row.innerHTML = `
+    <span class="layer-config-row-label">${label} <span class="hint-btn" data-hint="${hint}">i</span></span>
+    <div class="layer-config-row-input">
+      <span class="layer-config-val layer-seed-val" data-layer="${id}" data-group="${group}">${layer[group].seed}</span>
+      <button type="button" class="layer-item-action" title="새 시드">
+        <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><rect x="1" y="1" width="8" height="8" rx="1.5" stroke="currentColor" stroke-width="1.1"/><circle cx="3.5" cy="3.5" r="0.8" fill="currentColor"/><circle cx="6.5" cy="6.5" r="0.8" fill="currentColor"/></svg>
+      </button>
+    </div>
+  `;
+  row.querySelector('.layer-item-action').addEventListener('click', () => rerollSeed(id, group));
+  return row;
+}
+
+/** Slider row for one field of a grouped layer setting such as layer.flow. */
+function createGroupSliderRow(id, group, sl, hidden) {
+  const val = renderer.settings.layers.find(l => l.id === id)[group][sl.prop];
+  const row = document.createElement('div');
+  row.className = `layer-config-row${hidden ? ' hidden' : ''}`;
+  row.innerHTML = `
+    <span class="layer-config-row-label">${sl.label ?? capitalize(sl.prop)} <span class="hint-btn" data-hint="${sl.hint}">i</span></span>
+    <div class="layer-config-row-input">
+      <input type="range" min="${sl.min}" max="${sl.max}" step="${sl.step}" value="${val}"
+             class="slider slider-sm" />
+      <span class="layer-config-val">${sl.fmt(val)}</span>
+    </div>
+  `;
+  row.querySelector('input').addEventListener('input', e => {
+    const layer = renderer.settings.layers.find(l => l.id === id);
+    const v = parseFloat(e.target.value);
+    renderer.updateLayer(id, { [group]: { ...layer[group], [sl.prop]: v } });
+    row.querySelector('.layer-config-val').textContent = sl.fmt(v);
+  });
+  return row;
+}
+
+function formatPath(path) {
+  return path ? `${path.length} points` : 'None';
+}
+
+// Anchors, paths and seeds change outside their rows, so keep the labels in sync
+renderer.onChange(() => {
+  layerConfigsContainer.querySelectorAll('.layer-anchor-val').forEach(el => {
+    const layer = renderer.settings.layers.find(l => l.id === el.dataset.layer);
+    if (layer) el.textContent = formatAnchor(layer.anchor);
+  });
+  layerConfigsContainer.querySelectorAll('.layer-path-val').forEach(el => {
+    const layer = renderer.settings.layers.find(l => l.id === el.dataset.layer);
+    if (layer) el.textContent = formatPath(layer.path);
+  });
+  layerConfigsContainer.querySelectorAll('.layer-item').forEach(item => {
+    const layer = renderer.settings.layers.find(l => l.id === item.dataset.layer);
+    const swatch = item.querySelector('.layer-color-swatch');
+    if (layer && swatch) swatch.style.background = gradientCss(layer);
+  });
+  layerConfigsContainer.querySelectorAll('.layer-seed-val').forEach(el => {
+    const layer = renderer.settings.layers.find(l => l.id === el.dataset.layer);
+    if (layer) el.textContent = layer[el.dataset.group].seed;
+  });
+});
+
+function isLowerHalf(e, el) {
+  const rect = el.getBoundingClientRect();
+  return e.clientY > rect.top + rect.height / 2;
+}
+
+function clearDropMarkers() {
+  layerConfigsContainer.querySelectorAll('.drop-before, .drop-after')
+    .forEach(el => el.classList.remove('drop-before', 'drop-after'));
+}
+
 function bindLayerEvents() {
   const container = layerConfigsContainer;
 
   // Color pickers
   container.querySelectorAll('.layer-color-picker').forEach(picker => {
     picker.addEventListener('input', e => {
-      const idx = parseInt(e.target.dataset.layer);
-      renderer.settings.layerColors[idx] = e.target.value;
-      const swatch = container.querySelector(`.layer-item[data-layer="${idx}"] .layer-color-swatch`);
-      if (swatch) swatch.style.background = e.target.value;
+      const id = e.target.dataset.layer;
+      renderer.updateLayer(id, { color: e.target.value });
+      // Stops that follow the layer color change with it
+      container.querySelector(`.layer-item[data-layer="${id}"] .gradient-editor`)?.refresh();
     });
   });
 
   // Per-layer sliders
   container.querySelectorAll('.layer-slider').forEach(slider => {
     slider.addEventListener('input', e => {
-      const idx = parseInt(e.target.dataset.layer);
+      const id = e.target.dataset.layer;
       const prop = e.target.dataset.prop;
-      const key = e.target.dataset.key;
       const val = parseFloat(e.target.value);
 
-      renderer.settings[key][idx] = val;
+      renderer.updateLayer(id, { [prop]: val });
 
       const valSpan = container.querySelector(
-        `.layer-config-val[data-layer="${idx}"][data-valprop="${prop}"]`
+        `.layer-config-val[data-layer="${id}"][data-valprop="${prop}"]`
       );
       if (valSpan) {
         const slDef = LAYER_SLIDERS.find(s => s.prop === prop);
@@ -389,11 +1110,262 @@ function bindLayerEvents() {
   });
 }
 
-layerCountInput.addEventListener('input', () => {
-  const count = parseInt(layerCountInput.value);
-  layerCountVal.textContent = count;
-  renderer.updateSettings({ layerCount: count });
+/** Append a new layer and open it in the list. */
+export function addLayer() {
+  const layer = renderer.addLayer();
   buildLayerConfigs();
+  layerConfigsContainer.querySelector(`.layer-item[data-layer="${layer.id}"]`)?.classList.add('open');
+}
+
+/**
+ * Delete a layer (the top one by default). The last remaining layer is kept.
+ * @param {string} [id]
+ */
+export function removeLayer(id) {
+  const layers = renderer.settings.layers;
+  if (layers.length <= 1) return;
+  renderer.removeLayer(id ?? layers[layers.length - 1].id);
+  buildLayerConfigs();
+}
+
+layerAddBtn.addEventListener('click', addLayer);
+
+// ── Image shape sources ──
+
+const layerMediaInput = document.getElementById('layer-media-file');
+let mediaLayerId = null;
+
+layerMediaInput.accept = Object.values(MEDIA_FORMATS).flatMap(f => f.mime).join(',');
+
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Could not read that file'));
+    reader.readAsDataURL(file);
+  });
+}
+
+/** Ask for the photo or video clip an image layer draws. */
+function pickLayerMedia(id) {
+  mediaLayerId = id;
+  layerMediaInput.click();
+}
+
+layerMediaInput.addEventListener('change', async () => {
+  const file = layerMediaInput.files[0];
+  layerMediaInput.value = ''; // allow re-selecting the same file
+  if (!file || !mediaLayerId) return;
+  try {
+    const type = mediaTypeOf(file);
+    if (!type) throw new Error('Image layers take PNG, JPEG, WebP or GIF images and MP4 or WebM videos');
+    const { maxBytes } = MEDIA_FORMATS[type];
+    if (file.size > maxBytes) throw new Error(`${capitalize(type)} files must be under ${maxBytes / 1024 / 1024} MB`);
+    const source = addSource(await readAsDataUrl(file));
+    renderer.updateLayer(mediaLayerId, { shape: 'image', media: { type, source, name: file.name.replace(/\.[^.]+$/, '') } });
+    buildLayerConfigs();
+    layerConfigsContainer.querySelector(`.layer-item[data-layer="${mediaLayerId}"]`)?.classList.add('open');
+  } catch (err) {
+    console.error('Layer media failed:', err);
+    showNotice(err.message || 'Could not read that file', 'error');
+  }
+});
+
+// ═══════════════════════════════════════════
+// Overlays
+// ═══════════════════════════════════════════
+
+const overlayConfigsContainer = document.getElementById('overlay-configs');
+const overlayImageInput = document.getElementById('overlay-image-file');
+
+// Images are stored in the scene as data: URLs, so keep them small enough for scene files and links
+const MAX_OVERLAY_IMAGE_BYTES = 2 * 1024 * 1024;
+
+const OVERLAY_SLIDER_HINTS = {
+  x: "가로 위치입니다. 글자는 정렬 기준점, 이미지는 가운데가 이 위치에 놓입니다.<div class='hint-vals'><span class='hint-val'><b>0% / 100%</b> 왼쪽 / 오른쪽 끝</span></div>",
+  y: "세로 위치입니다. 여러 줄 글자는 줄 묶음의 가운데가 이 위치에 놓입니다.<div class='hint-vals'><span class='hint-val'><b>0% / 100%</b> 위 / 아래 끝</span></div>",
+  size: "글자 크기 또는 이미지 높이를 화면 높이에 대한 비율로 정합니다. 내보내기 해상도가 달라도 같은 비율로 그려집니다.<div class='hint-vals'><span class='hint-val'><b>5~10%</b> 제목 글자</span><span class='hint-val'><b>15~30%</b> 로고</span></div>",
+  opacity: "불투명도입니다.<div class='hint-vals'><span class='hint-val'><b>100%</b> 완전히 불투명</span></div>",
+};
+const OVERLAY_ANIMATION_HINT = "루프에 맞춰 움직이는 방식입니다. 루프 끝에서 처음 상태로 돌아오므로 반복 재생해도 이음새가 보이지 않습니다.<div class='hint-vals'><span class='hint-val'><b>Fade</b> 루프 시작에 나타나고 끝에 사라짐</span><span class='hint-val'><b>Float</b> 위아래로 천천히 떠다님</span></div>";
+
+const OVERLAY_WEIGHT_LABELS = { 400: 'Regular', 600: 'Semibold', 800: 'Heavy' };
+
+const formatOverlayPercent = v => `${Math.round(v * 100)}%`;
+
+/** Header label: the first line of a text overlay, or an image's file name. */
+function overlayLabel(overlay) {
+  const label = overlay.type === OVERLAY_TYPES.text ? overlay.text.split('\n')[0].trim() : overlay.name;
+  return label || capitalize(overlay.type);
+}
+
+function optionsHtml(values, selected, label = v => capitalize(String(v))) {
+  return values.map(v => `<option value="${v}"${v === selected ? ' selected' : ''}>${label(v)}</option>`).join('');
+}
+
+/** A layer-config-row with a label and one control, returned with the control. */
+function createOverlayRow(label, controlHtml, hint) {
+  const row = document.createElement('div');
+  row.className = 'layer-config-row';
+  row.innerHTML = `
+    <span class="layer-config-row-label">${label}${hint ? ` <span class="hint-btn" data-hint="${hint}">i</span>` : ''}</span>
+    ${controlHtml}
+  `;
+  return row;
+}
+
+// Overlay whose image the file input replaces; null adds a new image overlay
+let replacingOverlayId = null;
+
+function buildOverlayConfigs() {
+  const openOverlays = new Set(
+    [...overlayConfigsContainer.querySelectorAll('.layer-item.open')].map(el => el.dataset.overlay)
+  );
+  overlayConfigsContainer.innerHTML = '';
+  const overlays = renderer.settings.overlays;
+
+  overlays.forEach((overlay, i) => {
+    const { id } = overlay;
+    const update = partial => renderer.updateOverlay(id, partial);
+
+    const item = document.createElement('div');
+    item.className = 'layer-item';
+    item.dataset.overlay = id;
+    if (openOverlays.has(id)) item.classList.add('open');
+
+    const header = document.createElement('div');
+    header.className = 'layer-item-toggle';
+    header.innerHTML = `
+      <span class="layer-item-chevron">›</span>
+      <span class="layer-item-label"></span>
+      <span class="layer-item-actions">
+        <button type="button" class="layer-item-action" data-action="up" title="목록 위로 (더 아래에 그리기)"${i === 0 ? ' disabled' : ''}>
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2.5 6L5 3.5L7.5 6" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/></svg>
+        </button>
+        <button type="button" class="layer-item-action" data-action="down" title="목록 아래로 (더 위에 그리기)"${i === overlays.length - 1 ? ' disabled' : ''}>
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2.5 4L5 6.5L7.5 4" stroke="currentColor" stroke-width="1.2" stroke-linecap="round" stroke-linejoin="round"/></svg>
+        </button>
+        <button type="button" class="layer-item-action" data-action="delete" title="오버레이 삭제">
+          <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2 2l6 6M8 2l-6 6" stroke="currentColor" stroke-width="1.3" stroke-linecap="round"/></svg>
+        </button>
+      </span>
+    `;
+    const label = header.querySelector('.layer-item-label');
+    label.textContent = overlayLabel(overlay);
+    header.addEventListener('click', (e) => {
+      const action = e.target.closest('.layer-item-action');
+      if (!action) {
+        item.classList.toggle('open');
+        return;
+      }
+      if (action.dataset.action === 'delete') renderer.removeOverlay(id);
+      else renderer.moveOverlay(id, i + (action.dataset.action === 'up' ? -1 : 1));
+      buildOverlayConfigs();
+    });
+
+    const body = document.createElement('div');
+    body.className = 'layer-item-body';
+    const content = document.createElement('div');
+    content.className = 'layer-item-content';
+
+    if (overlay.type === OVERLAY_TYPES.text) {
+      const textRow = createOverlayRow('Text', `<textarea rows="2" maxlength="${MAX_TEXT_LENGTH}" class="text-input"></textarea>`);
+      const textarea = textRow.querySelector('textarea');
+      textarea.value = overlay.text;
+      textarea.addEventListener('input', () => {
+        update({ text: textarea.value });
+        label.textContent = overlayLabel(renderer.settings.overlays.find(o => o.id === id));
+      });
+      content.appendChild(textRow);
+
+      const fontRow = createOverlayRow('Font', `<select class="select-input select-sm">${optionsHtml(Object.keys(OVERLAY_FONTS), overlay.font)}</select>`);
+      const weightRow = createOverlayRow('Weight', `<select class="select-input select-sm">${optionsHtml(OVERLAY_WEIGHTS, overlay.weight, w => OVERLAY_WEIGHT_LABELS[w])}</select>`);
+      const alignRow = createOverlayRow('Align', `<select class="select-input select-sm">${optionsHtml(OVERLAY_ALIGNS, overlay.align)}</select>`);
+      fontRow.querySelector('select').addEventListener('change', e => update({ font: e.target.value }));
+      weightRow.querySelector('select').addEventListener('change', e => update({ weight: Number(e.target.value) }));
+      alignRow.querySelector('select').addEventListener('change', e => update({ align: e.target.value }));
+
+      const colorRow = createOverlayRow('Color', `<input type="color" value="${overlay.color}" class="color-input color-input-sm" />`);
+      colorRow.querySelector('input').addEventListener('input', e => update({ color: e.target.value }));
+      content.append(fontRow, weightRow, colorRow, alignRow);
+    } else {
+      const imageRow = createOverlayRow('Image', `
+        <div class="layer-config-row-input">
+          <span class="layer-config-val"></span>
+          <button type="button" class="layer-item-action" title="이미지 바꾸기">
+            <svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2 5a3 3 0 103-3H3M3 0.8L1.8 2 3 3.2" stroke="currentColor" stroke-width="1.1" stroke-linecap="round" stroke-linejoin="round"/></svg>
+          </button>
+        </div>
+      `);
+      imageRow.querySelector('.layer-config-val').textContent = overlay.source ? overlay.name || 'Image' : 'None';
+      imageRow.querySelector('.layer-item-action').addEventListener('click', () => {
+        replacingOverlayId = id;
+        overlayImageInput.click();
+      });
+      content.appendChild(imageRow);
+    }
+
+    for (const sl of OVERLAY_SLIDERS) {
+      const row = createOverlayRow(capitalize(sl.prop), `
+        <div class="layer-config-row-input">
+          <input type="range" min="${sl.min}" max="${sl.max}" step="${sl.step}" value="${overlay[sl.prop]}" class="slider slider-sm" />
+          <span class="layer-config-val">${formatOverlayPercent(overlay[sl.prop])}</span>
+        </div>
+      `, OVERLAY_SLIDER_HINTS[sl.prop]);
+      const valSpan = row.querySelector('.layer-config-val');
+      row.querySelector('input').addEventListener('input', (e) => {
+        const val = parseFloat(e.target.value);
+        update({ [sl.prop]: val });
+        valSpan.textContent = formatOverlayPercent(val);
+      });
+      content.appendChild(row);
+    }
+
+    const animationRow = createOverlayRow('Animation', `<select class="select-input select-sm">${optionsHtml(OVERLAY_ANIMATIONS, overlay.animation)}</select>`, OVERLAY_ANIMATION_HINT);
+    animationRow.querySelector('select').addEventListener('change', e => update({ animation: e.target.value }));
+    content.appendChild(animationRow);
+
+    body.appendChild(content);
+    item.appendChild(header);
+    item.appendChild(body);
+    overlayConfigsContainer.appendChild(item);
+  });
+}
+
+/** Add an overlay on top of the others and open it in the list. */
+function addOverlay(type, props) {
+  const overlay = renderer.addOverlay(type, props);
+  buildOverlayConfigs();
+  overlayConfigsContainer.querySelector(`.layer-item[data-overlay="${overlay.id}"]`)?.classList.add('open');
+}
+
+document.getElementById('overlay-add-text').addEventListener('click', () => addOverlay(OVERLAY_TYPES.text));
+document.getElementById('overlay-add-image').addEventListener('click', () => {
+  replacingOverlayId = null;
+  overlayImageInput.click();
+});
+overlayImageInput.addEventListener('change', async () => {
+  const file = overlayImageInput.files[0];
+  overlayImageInput.value = ''; // allow re-selecting the same file
+  if (!file) return;
+  try {
+    if (!/^image\/(png|jpeg|webp|svg\+xml)$/.test(file.type)) {
+      throw new Error('Overlays take PNG, JPEG, WebP or SVG images');
+    }
+    if (file.size > MAX_OVERLAY_IMAGE_BYTES) {
+      throw new Error(`Overlay images must be under ${MAX_OVERLAY_IMAGE_BYTES / 1024 / 1024} MB`);
+    }
+    const image = { source: addSource(await readAsDataUrl(file)), name: file.name.replace(/\.[^.]+$/, '') };
+    if (replacingOverlayId) {
+      renderer.updateOverlay(replacingOverlayId, image);
+      buildOverlayConfigs();
+    } else {
+      addOverlay(OVERLAY_TYPES.image, image);
+    }
+  } catch (err) {
+    console.error('Overlay image failed:', err);
+    showNotice(err.message || 'Could not read that image', 'error');
+  }
 });
 
 // ═══════════════════════════════════════════
@@ -403,7 +1375,7 @@ layerCountInput.addEventListener('input', () => {
 const durationInput = document.getElementById('duration');
 function syncLoopDuration() {
   const raw = parseInt(durationInput.value);
-  const sec = Number.isFinite(raw) && raw >= 1 ? Math.min(raw, 120) : 10;
+  const sec = Number.isFinite(raw) && raw >= DURATION_RANGE.min ? Math.min(raw, DURATION_RANGE.max) : 10;
   renderer.updateSettings({ loopDuration: sec * 1000 });
 }
 // Allow only digits while typing
@@ -414,18 +1386,158 @@ durationInput.addEventListener('input', () => {
 // Clamp and restore on blur (empty → default 10)
 durationInput.addEventListener('blur', () => {
   const raw = parseInt(durationInput.value);
-  const sec = Number.isFinite(raw) && raw >= 1 ? Math.min(raw, 120) : 10;
+  const sec = Number.isFinite(raw) && raw >= DURATION_RANGE.min ? Math.min(raw, DURATION_RANGE.max) : 10;
   durationInput.value = sec;
   syncLoopDuration();
+  // Keyframe times are shown in seconds of the loop
+  buildGlobalKeyframes();
+  buildLayerConfigs();
 });
 syncLoopDuration();
 
+// ═══════════════════════════════════════════
+// Sync panel from settings
+// ═══════════════════════════════════════════
+
+/**
+ * Rewrite every control from renderer.settings and rebuild the layer and overlay lists.
+ * Used after settings are replaced wholesale (e.g. loading a scene).
+ */
+export function refreshControls() {
+  const s = renderer.settings;
+
+  bgColorInput.value = s.bgColor;
+  blendModeSelect.value = s.blendMode;
+  // A blend mode that differs from the automatic pick must have been chosen by hand
+  blendModeManual = s.blendMode !== autoBlendMode(s.bgColor);
+
+  const blurInput = document.getElementById('blur');
+  blurInput.value = s.blur;
+  document.getElementById('blur-val').textContent = Math.round(s.blur);
+  renderer.updateBlur();
+
+  durationInput.value = Math.round(s.loopDuration / 1000);
+
+  for (const { id, key, format } of FINISH_RANGES) {
+    document.getElementById(id).value = s[key];
+    document.getElementById(`${id}-val`).textContent = format ? format(s[key]) : s[key];
+  }
+  ditherSelect.value = s.dither;
+
+  buildGlobalKeyframes();
+  buildLayerConfigs();
+  buildOverlayConfigs();
+}
+
+// ═══════════════════════════════════════════
+// Panel notice
+// ═══════════════════════════════════════════
+
+const notice = document.getElementById('panel-notice');
+let noticeTimeout = null;
+
+/**
+ * Show a short message at the top of the panel.
+ * @param {string} message
+ * @param {'info'|'error'} [tone]
+ */
+export function showNotice(message, tone = 'info') {
+  clearTimeout(noticeTimeout);
+  notice.textContent = message;
+  notice.classList.toggle('error', tone === 'error');
+  notice.classList.remove('hidden');
+  noticeTimeout = setTimeout(() => notice.classList.add('hidden'), tone === 'error' ? 8000 : 3000);
+}
+
+// ═══════════════════════════════════════════
+// Finish (post-processing)
+// ═══════════════════════════════════════════
+
+const formatPercent = v => `${Math.round(v * 100)}%`;
+export const FINISH_RANGES = [
+  { id: 'grain', key: 'grain', min: 0, max: 0.5, format: formatPercent },
+  { id: 'grain-size', key: 'grainSize', min: 1, max: 4 },
+  { id: 'vignette', key: 'vignette', min: 0, max: 1, format: formatPercent },
+];
+for (const { id, key, format } of FINISH_RANGES) bindRange(id, key, format);
+
+const ditherSelect = document.getElementById('post-dither');
+ditherSelect.addEventListener('change', () => renderer.updateSettings({ dither: ditherSelect.value }));
+
+// The preview canvas carries a CSS blur, so grain and vignette are separate
+// elements above it that approximate what the export applies to its pixels;
+// dither is export-only. The Finish section says so under its controls.
+const grainOverlay = document.getElementById('grain-overlay');
+const vignetteOverlay = document.getElementById('vignette-overlay');
+let grainDrawn = ''; // cell grid and grain frame currently on grainOverlay
+
+function updateVignetteOverlay() {
+  const { vignette } = renderer.settings;
+  vignetteOverlay.classList.toggle('hidden', vignette <= 0);
+  vignetteOverlay.style.background = vignette > 0 ? vignetteGradient(vignette) : '';
+}
+
+renderer.onChange(updateVignetteOverlay);
+updateVignetteOverlay();
+
+renderer.onFrame((time) => {
+  const { grain, grainSize } = renderer.settings;
+  grainOverlay.classList.toggle('hidden', grain <= 0);
+  if (grain <= 0) return;
+  grainOverlay.style.opacity = grain;
+
+  const { width, height } = renderer.previewSize();
+  const cellsX = Math.ceil(width / grainSize) + 1;
+  const cellsY = Math.ceil(height / grainSize) + 1;
+  const key = `${cellsX}x${cellsY}@${grainFrame(time)}`;
+  if (key === grainDrawn) return;
+  grainDrawn = key;
+  if (grainOverlay.width !== cellsX || grainOverlay.height !== cellsY) {
+    grainOverlay.width = cellsX;
+    grainOverlay.height = cellsY;
+  }
+  grainOverlay.style.width = `${cellsX * grainSize}px`;
+  grainOverlay.style.height = `${cellsY * grainSize}px`;
+  drawGrainCells(grainOverlay, time);
+});
+
+// ═══════════════════════════════════════════
+// Renderer backend
+// ═══════════════════════════════════════════
+
+// A browser preference rather than part of the scene
+const BACKEND_STORAGE_KEY = 'background-maker-renderer';
+const backendSelect = document.getElementById('renderer-backend');
+
+function selectBackend(name) {
+  try {
+    renderer.setBackend(name);
+  } catch (err) {
+    showNotice(err.message, 'error');
+    renderer.setBackend('canvas');
+  }
+  backendSelect.value = renderer.backend;
+}
+
+backendSelect.addEventListener('change', () => {
+  selectBackend(backendSelect.value);
+  localStorage.setItem(BACKEND_STORAGE_KEY, renderer.backend);
+});
+selectBackend(localStorage.getItem(BACKEND_STORAGE_KEY) || 'canvas');
+
+// A lost WebGL context drops the renderer back to Canvas 2D on its own
+renderer.onFrame(() => {
+  if (backendSelect.value !== renderer.backend) backendSelect.value = renderer.backend;
+});
+
 // ═══════════════════════════════════════════
 // Init
 // ═══════════════════════════════════════════
 
 initSectionToggles();
+buildGlobalKeyframes();
 buildLayerConfigs();
+buildOverlayConfigs();
 
 // ═══════════════════════════════════════════
 // Hint tooltip
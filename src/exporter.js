@@ -1,49 +1,645 @@
 /**
- * Video export pipeline using FFmpeg.wasm.
+ * Video export pipeline.
  *
- * Quality-focused pipeline:
+ * Video goes through FFmpeg.wasm by default. MP4 and WebM can instead use
+ * the Fast encoder, which encodes while rendering with WebCodecs
+ * (VideoEncoder + mp4-muxer / webm-muxer) so memory stays bounded by the
+ * compressed output, at the cost of 4:2:0 chroma and a lower bitrate. It
+ * falls back to FFmpeg.wasm when the browser can't encode the configuration.
+ *
+ * Quality-focused FFmpeg pipeline:
  *  1. PNG frames (lossless)       → no source compression artifacts
  *  2. Canvas reuse via initExport → zero per-frame GC pressure
  *  3. -preset medium              → good quality/speed balance
  *  4. -crf 14 (near-lossless)    → high fidelity output
  *  5. yuv444p                     → full chroma resolution for gradients
  *
+ * Alpha formats (WebM/VP9 alpha, ProRes 4444) render with a transparent
+ * background instead of bgColor; PNG frames already carry the alpha channel.
+ *
  * We bypass the @ffmpeg/ffmpeg FFmpeg class because it always creates a
  * type:"module" Worker, and module Workers cannot use importScripts().
  * Instead we create a classic Worker directly and speak the same message
  * protocol that the FFmpeg class expects.
  */
 
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from 'mp4-muxer';
+import { Muxer as WebmMuxer, ArrayBufferTarget as WebmTarget } from 'webm-muxer';
 import { renderer } from './aurora.js';
+import { overlayImagesReady } from './overlays.js';
 
 const exportBtn = document.getElementById('export-btn');
 const progressContainer = document.getElementById('export-progress');
 const progressBar = document.getElementById('progress-bar');
 const progressText = document.getElementById('progress-text');
+const cancelBtn = document.getElementById('export-cancel');
 
 let isExporting = false;
+let exportAbort = null; // AbortController of the running export
+let progressHideTimeout = null;
+
+const MAX_QUEUED_FRAMES = 8; // WebCodecs frames allowed in flight
+const FFMPEG_CHUNK_FRAMES = 120; // PNG frames held in MEMFS at once
+
+// bt709 full-range tags shared by the YUV formats
+const COLOR_ARGS = [
+  '-color_range', 'pc',
+  '-colorspace', 'bt709',
+  '-color_trc', 'bt709',
+  '-color_primaries', 'bt709',
+];
+
+/**
+ * Container/codec choices for the Format select.
+ * args are the ffmpeg output arguments placed between the input and the file name.
+ * All encoders here (libx264, libvpx-vp9, prores_ks) are built into @ffmpeg/core 0.12.
+ * webcodecs, when present, describes the Fast encoder's streaming path
+ * (bitsPerPixel sets the target bitrate per pixel per frame).
+ */
+const EXPORT_FORMATS = {
+  mp4: {
+    ext: 'mp4',
+    mime: 'video/mp4',
+    alpha: false,
+    webcodecs: { muxer: 'mp4', bitsPerPixel: 0.2 }, // codec string depends on frame size
+    args: [
+      '-c:v', 'libx264',
+      '-preset', 'medium',
+      '-crf', '14',
+      '-pix_fmt', 'yuv444p',
+      ...COLOR_ARGS,
+      '-movflags', '+faststart',
+    ],
+  },
+  webm: {
+    ext: 'webm',
+    mime: 'video/webm',
+    alpha: false,
+    webcodecs: { muxer: 'webm', codec: 'vp09.00.52.08', bitsPerPixel: 0.15 },
+    args: [
+      '-c:v', 'libvpx-vp9',
+      '-crf', '18',
+      '-b:v', '0', // constant quality mode
+      '-deadline', 'good',
+      '-cpu-used', '2',
+      '-pix_fmt', 'yuv420p', // widest <video> support
+      ...COLOR_ARGS,
+    ],
+  },
+  'webm-alpha': {
+    ext: 'webm',
+    mime: 'video/webm',
+    alpha: true,
+    args: [
+      '-c:v', 'libvpx-vp9',
+      '-crf', '18',
+      '-b:v', '0',
+      '-deadline', 'good',
+      '-cpu-used', '2',
+      '-pix_fmt', 'yuva420p',
+      '-auto-alt-ref', '0', // alt-ref frames are incompatible with alpha
+    ],
+  },
+  prores: {
+    ext: 'mov',
+    mime: 'video/quicktime',
+    alpha: true,
+    args: [
+      '-c:v', 'prores_ks',
+      '-profile:v', '4444',
+      '-pix_fmt', 'yuva444p10le',
+      '-alpha_bits', '16',
+      '-vendor', 'apl0',
+    ],
+  },
+  // Animated images: small by default, encoded in one pass (a GIF palette
+  // has to see every frame), with a rough size estimate shown beforehand.
+  gif: {
+    ext: 'gif',
+    mime: 'image/gif',
+    alpha: false,
+    animatedImage: { maxSide: 640, fps: 15 },
+    args: ({ dither }) => [
+      '-vf', `split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=${GIF_DITHERS[dither].filter}:diff_mode=rectangle`,
+      '-loop', '0',
+    ],
+    bytesPerPixel: ({ dither }) => GIF_DITHERS[dither].bytesPerPixel,
+  },
+  apng: {
+    ext: 'png',
+    mime: 'image/apng',
+    alpha: false,
+    animatedImage: { maxSide: 640, fps: 15 },
+    args: [
+      '-f', 'apng',
+      '-plays', '0',
+      '-pred', 'mixed',
+      '-pix_fmt', 'rgb24',
+    ],
+    bytesPerPixel: () => 0.9,
+  },
+};
+
+/**
+ * paletteuse dither modes for GIF. bytesPerPixel is a rough per-frame output
+ * cost for blurred gradients: error diffusion hides banding best but its noise
+ * compresses worst.
+ */
+const GIF_DITHERS = {
+  sierra2_4a: { filter: 'sierra2_4a', bytesPerPixel: 0.45 },
+  floyd_steinberg: { filter: 'floyd_steinberg', bytesPerPixel: 0.5 },
+  bayer: { filter: 'bayer:bayer_scale=3', bytesPerPixel: 0.3 },
+  none: { filter: 'none', bytesPerPixel: 0.12 },
+};
+
+/** Resolve a format's ffmpeg args (static list or built from the job's options). */
+function formatArgs(format, job) {
+  return typeof format.args === 'function' ? format.args(job) : format.args;
+}
 
 exportBtn.addEventListener('click', startExport);
+cancelBtn.addEventListener('click', cancelExport);
+
+const resolutionSelect = document.getElementById('resolution');
+const customResolutionRow = document.getElementById('custom-resolution');
+const customWidthInput = document.getElementById('custom-width');
+const customHeightInput = document.getElementById('custom-height');
+const rotateBtn = document.getElementById('resolution-rotate');
+const frameGuide = document.getElementById('export-frame-guide');
+const fpsSelect = document.getElementById('fps');
+const formatSelect = document.getElementById('format');
+const encoderRow = document.getElementById('encoder-row');
+const encoderSelect = document.getElementById('encoder');
+const ditherRow = document.getElementById('dither-row');
+const ditherSelect = document.getElementById('dither');
+const sizeEstimate = document.getElementById('size-estimate');
+
+// Custom sizes are clamped to this range and rounded to even numbers,
+// since 4:2:0 encoders can't handle odd dimensions.
+export const RESOLUTION_LIMITS = { min: 64, max: 8192 };
+
+/**
+ * Parse a "WIDTHxHEIGHT" string.
+ * @returns {{width:number, height:number}|null} null unless both sizes are even and within RESOLUTION_LIMITS
+ */
+export function parseResolution(str) {
+  const match = /^(\d+)x(\d+)$/.exec(String(str));
+  if (!match) return null;
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  const ok = (v) => v % 2 === 0 && v >= RESOLUTION_LIMITS.min && v <= RESOLUTION_LIMITS.max;
+  return ok(width) && ok(height) ? { width, height } : null;
+}
+
+/** Round a typed size to the nearest even value within RESOLUTION_LIMITS. */
+function normalizeSize(raw, fallback) {
+  const v = parseInt(raw);
+  if (!Number.isFinite(v)) return fallback;
+  const clamped = Math.min(Math.max(v, RESOLUTION_LIMITS.min), RESOLUTION_LIMITS.max);
+  return Math.round(clamped / 2) * 2;
+}
+
+// Image types for still export (quality only applies to lossy types)
+const STILL_FORMATS = {
+  png: { mime: 'image/png', ext: 'png' },
+  jpeg: { mime: 'image/jpeg', ext: 'jpg', quality: 0.95 },
+  webp: { mime: 'image/webp', ext: 'webp', quality: 0.95 },
+};
+
+const stillBtn = document.getElementById('still-btn');
+const stillTimeMode = document.getElementById('still-time-mode');
+const stillTimeRow = document.getElementById('still-time-row');
+const stillTimeInput = document.getElementById('still-time');
+const stillFormatSelect = document.getElementById('still-format');
+
+/** Current Export section values (stored alongside the scene). */
+export function getExportOptions() {
+  const resolution = resolutionSelect.value === 'custom'
+    ? `${normalizeSize(customWidthInput.value, 1920)}x${normalizeSize(customHeightInput.value, 1080)}`
+    : resolutionSelect.value;
+  return {
+    resolution,
+    fps: parseInt(fpsSelect.value),
+    format: formatSelect.value,
+    encoder: encoderSelect.value,
+    dither: ditherSelect.value,
+    stillFormat: stillFormatSelect.value,
+  };
+}
+
+/** Values the select-based Export options accept (resolution is checked by parseResolution). */
+export function getExportChoices() {
+  return {
+    fps: [...fpsSelect.options].map(o => parseInt(o.value)),
+    format: [...formatSelect.options].map(o => o.value),
+    encoder: [...encoderSelect.options].map(o => o.value),
+    dither: [...ditherSelect.options].map(o => o.value),
+    stillFormat: [...stillFormatSelect.options].map(o => o.value),
+  };
+}
+
+/** Select a preset when one matches, otherwise switch to custom size entry. */
+function setResolution(resolution) {
+  const preset = [...resolutionSelect.options].some(o => o.value === resolution);
+  if (preset) {
+    resolutionSelect.value = resolution;
+  } else {
+    const [width, height] = resolution.split('x');
+    resolutionSelect.value = 'custom';
+    customWidthInput.value = width;
+    customHeightInput.value = height;
+  }
+  syncResolutionUI();
+}
+
+/** Restore Export section values (assumed already validated). */
+export function applyExportOptions(options) {
+  if (options.resolution != null) setResolution(options.resolution);
+  if (options.fps != null) fpsSelect.value = String(options.fps);
+  if (options.format != null) formatSelect.value = options.format;
+  if (options.encoder != null) encoderSelect.value = options.encoder;
+  if (options.dither != null) ditherSelect.value = options.dither;
+  if (options.stillFormat != null) stillFormatSelect.value = options.stillFormat;
+  activeFormat = formatSelect.value;
+  videoOptions = null;
+  syncFormatUI();
+}
+
+// ── Resolution controls & frame guide ──
+
+/** Outline the exported region on the preview when its aspect ratio differs. */
+function updateFrameGuide() {
+  const { width, height } = parseResolution(getExportOptions().resolution);
+  const frame = renderer.exportFrame(width, height);
+  const { width: previewWidth, height: previewHeight } = renderer.previewSize();
+  const fullFrame = previewWidth - frame.width < 2 && previewHeight - frame.height < 2;
+  frameGuide.classList.toggle('hidden', fullFrame);
+  frameGuide.style.left = `${frame.x}px`;
+  frameGuide.style.top = `${frame.y}px`;
+  frameGuide.style.width = `${frame.width}px`;
+  frameGuide.style.height = `${frame.height}px`;
+}
+
+function syncResolutionUI() {
+  customResolutionRow.classList.toggle('hidden', resolutionSelect.value !== 'custom');
+  updateFrameGuide();
+}
+
+resolutionSelect.addEventListener('change', syncResolutionUI);
+
+for (const input of [customWidthInput, customHeightInput]) {
+  // Allow only digits while typing
+  input.addEventListener('input', () => {
+    input.value = input.value.replace(/[^0-9]/g, '');
+    updateFrameGuide();
+  });
+  // Snap to an encoder-safe size when editing finishes
+  input.addEventListener('blur', () => {
+    const fallback = input === customWidthInput ? 1920 : 1080;
+    input.value = normalizeSize(input.value, fallback);
+    updateFrameGuide();
+  });
+}
+
+// Swap width and height (landscape ↔ portrait)
+rotateBtn.addEventListener('click', () => {
+  const [width, height] = getExportOptions().resolution.split('x');
+  setResolution(`${height}x${width}`);
+  resolutionSelect.dispatchEvent(new Event('change', { bubbles: true }));
+});
+
+window.addEventListener('resize', updateFrameGuide);
+syncResolutionUI();
+
+// ── Format controls ──
+
+let activeFormat = formatSelect.value;
+let videoOptions = null; // resolution/fps to restore when leaving GIF/APNG
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/** Show the rough output size for formats that define bytesPerPixel. */
+function updateSizeEstimate() {
+  const options = getExportOptions();
+  const format = EXPORT_FORMATS[options.format];
+  if (!format?.bytesPerPixel) {
+    sizeEstimate.classList.add('hidden');
+    return;
+  }
+  const { width, height } = parseResolution(options.resolution);
+  const frames = options.fps * Math.round(renderer.settings.loopDuration / 1000);
+  const bytes = width * height * frames * format.bytesPerPixel(options);
+  sizeEstimate.textContent = `Estimated size ≈ ${formatBytes(bytes)}`;
+  sizeEstimate.classList.remove('hidden');
+}
 
-async function startExport() {
+function syncFormatUI() {
+  encoderRow.classList.toggle('hidden', !EXPORT_FORMATS[formatSelect.value].webcodecs);
+  ditherRow.classList.toggle('hidden', formatSelect.value !== 'gif');
+  updateSizeEstimate();
+}
+
+formatSelect.addEventListener('change', () => {
+  const prev = EXPORT_FORMATS[activeFormat];
+  const next = EXPORT_FORMATS[formatSelect.value];
+  activeFormat = formatSelect.value;
+
+  if (next.animatedImage && !prev.animatedImage) {
+    // Animated images default to a small size and low fps; remember the video settings
+    const { resolution, fps } = getExportOptions();
+    videoOptions = { resolution, fps };
+    const { width, height } = parseResolution(resolution);
+    const scale = Math.min(1, next.animatedImage.maxSide / Math.max(width, height));
+    const even = (v) => Math.max(RESOLUTION_LIMITS.min, Math.round((v * scale) / 2) * 2);
+    setResolution(`${even(width)}x${even(height)}`);
+    fpsSelect.value = String(next.animatedImage.fps);
+  } else if (!next.animatedImage && prev.animatedImage && videoOptions) {
+    setResolution(videoOptions.resolution);
+    fpsSelect.value = String(videoOptions.fps);
+    videoOptions = null;
+  }
+  syncFormatUI();
+});
+
+for (const el of [resolutionSelect, customWidthInput, customHeightInput, fpsSelect, ditherSelect]) {
+  el.addEventListener('input', updateSizeEstimate);
+  el.addEventListener('change', updateSizeEstimate);
+}
+renderer.onChange(updateSizeEstimate);
+syncFormatUI();
+
+export async function startExport() {
   if (isExporting) return;
   isExporting = true;
+  exportAbort = new AbortController();
+  const { signal } = exportAbort;
+  stillBtn.disabled = true;
   exportBtn.disabled = true;
   exportBtn.textContent = 'Exporting...';
   exportBtn.classList.add('opacity-50', 'cursor-not-allowed');
+  clearTimeout(progressHideTimeout);
   progressContainer.classList.remove('hidden');
+  cancelBtn.classList.remove('hidden');
 
   try {
-    const resolutionStr = document.getElementById('resolution').value;
-    const [exportWidth, exportHeight] = resolutionStr.split('x').map(Number);
+    const { resolution, fps, format: formatKey, encoder, dither } = getExportOptions();
+    const format = EXPORT_FORMATS[formatKey] || EXPORT_FORMATS.mp4;
+    const { width, height } = parseResolution(resolution);
     const duration = parseInt(document.getElementById('duration').value);
-    const fps = parseInt(document.getElementById('fps').value);
-    const totalFrames = fps * duration;
+    const job = { width, height, fps, format, dither, totalFrames: fps * duration };
+
+    // Overlay images still decoding would be missing from the first frames
+    await overlayImagesReady(renderer.settings.overlays);
+    // Prepare reusable canvases (no per-frame allocation)
+    renderer.initExport(width, height, format.alpha);
+
+    const webCodecsConfig = encoder === 'fast' ? await findWebCodecsConfig(job) : null;
+    const videoBlob = webCodecsConfig
+      ? await encodeWithWebCodecs(job, webCodecsConfig, signal)
+      : await encodeWithFFmpeg(job, signal);
+
+    const suffix = format.alpha ? '-alpha' : '';
+    downloadBlob(videoBlob, `background-${width}x${height}-${fps}fps${suffix}.${format.ext}`);
+
+    updateProgress(job.totalFrames, job.totalFrames, 'Export complete!');
+  } catch (err) {
+    if (signal.aborted) {
+      progressText.textContent = 'Export cancelled';
+    } else {
+      console.error('Export failed:', err);
+      const msg = err instanceof Error ? err.message : String(err);
+      progressText.textContent = `Export failed: ${msg}`;
+    }
+  } finally {
+    renderer.cleanupExport();
+    exportAbort = null;
+    isExporting = false;
+    cancelBtn.classList.add('hidden');
+    stillBtn.disabled = false;
+    exportBtn.disabled = false;
+    exportBtn.textContent = 'Export Video';
+    exportBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+    progressHideTimeout = setTimeout(() => {
+      progressContainer.classList.add('hidden');
+    }, 3000);
+  }
+}
+
+// ─── Still export ───────────────────────────────────────────────────
+// A single frame through the same initExport/renderExportFrame path as
+// video, so blur and framing match; no ffmpeg needed.
+
+/** Loop time (ms) to capture: the visible preview frame or the typed time. */
+function stillTime() {
+  const loopMs = renderer.settings.loopDuration;
+  if (stillTimeMode.value === 'current') return renderer.currentTime;
+  const sec = parseFloat(stillTimeInput.value);
+  const ms = Number.isFinite(sec) ? sec * 1000 : 0;
+  return loopMs > 0 ? Math.min(Math.max(ms, 0), loopMs) % loopMs : Math.max(ms, 0);
+}
+
+export async function exportStill() {
+  if (isExporting) return;
+  isExporting = true;
+  stillBtn.disabled = true;
+  exportBtn.disabled = true;
+  clearTimeout(progressHideTimeout);
+  progressContainer.classList.remove('hidden');
+
+  try {
+    const { resolution, stillFormat } = getExportOptions();
+    const { width, height } = parseResolution(resolution);
+    const still = STILL_FORMATS[stillFormat] || STILL_FORMATS.png;
+    const time = stillTime();
+
+    updateProgress(0, 1, 'Rendering still...');
+    await overlayImagesReady(renderer.settings.overlays);
+    renderer.initExport(width, height);
+    await renderer.prepareFrame(time);
+    const outCanvas = renderer.renderExportFrame(time);
+    const blob = await canvasToBlob(outCanvas, still.mime, still.quality);
+    // Browsers fall back to PNG for types they can't encode
+    if (!blob || blob.type !== still.mime) {
+      throw new Error(`${still.ext.toUpperCase()} encoding is not supported by this browser`);
+    }
+
+    const sec = (time / 1000).toFixed(2).replace('.', '_');
+    downloadBlob(blob, `background-${width}x${height}-${sec}s.${still.ext}`);
+    updateProgress(1, 1, 'Still saved!');
+  } catch (err) {
+    console.error('Still export failed:', err);
+    const msg = err instanceof Error ? err.message : String(err);
+    progressText.textContent = `Export failed: ${msg}`;
+  } finally {
+    renderer.cleanupExport();
+    isExporting = false;
+    stillBtn.disabled = false;
+    exportBtn.disabled = false;
+    progressHideTimeout = setTimeout(() => {
+      progressContainer.classList.add('hidden');
+    }, 3000);
+  }
+}
+
+stillBtn.addEventListener('click', exportStill);
+
+stillTimeMode.addEventListener('change', () => {
+  stillTimeRow.classList.toggle('hidden', stillTimeMode.value !== 'time');
+});
+
+// Allow digits and one decimal point while typing
+stillTimeInput.addEventListener('input', () => {
+  stillTimeInput.value = stillTimeInput.value.replace(/[^0-9.]/g, '').replace(/(\..*)\./g, '$1');
+});
+// Clamp into the loop on blur
+stillTimeInput.addEventListener('blur', () => {
+  stillTimeInput.value = String(Math.round(stillTime()) / 1000);
+});
+
+/** Abort the running export, if any. */
+export function cancelExport() {
+  if (!exportAbort || exportAbort.signal.aborted) return;
+  exportAbort.abort();
+  progressText.textContent = 'Cancelling...';
+}
+
+// ─── WebCodecs encoder ──────────────────────────────────────────────
+// Frames go straight from the export canvas into a VideoEncoder and the
+// encoded chunks into an in-JS muxer, so only compressed output is kept.
+
+/** Pick an H.264 level that covers the frame size (5.2 up to 4K, 6.0 beyond). */
+function avcCodecString(width, height) {
+  return width * height <= 4096 * 2304 ? 'avc1.640034' : 'avc1.64003c';
+}
+
+/**
+ * Build a VideoEncoder config for the job, or null when the browser can't
+ * encode it (no WebCodecs, unsupported size, or a format without a WebCodecs path).
+ */
+async function findWebCodecsConfig({ width, height, fps, format }) {
+  if (typeof VideoEncoder === 'undefined' || !format.webcodecs) return null;
+  const { muxer, bitsPerPixel } = format.webcodecs;
+  const config = {
+    codec: muxer === 'mp4' ? avcCodecString(width, height) : format.webcodecs.codec,
+    width,
+    height,
+    framerate: fps,
+    bitrate: Math.round(width * height * fps * bitsPerPixel),
+    bitrateMode: 'variable',
+    latencyMode: 'quality',
+  };
+  if (muxer === 'mp4') config.avc = { format: 'avc' };
+  try {
+    const { supported } = await VideoEncoder.isConfigSupported(config);
+    return supported ? config : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function waitForDequeue(encoder, signal) {
+  return new Promise((resolve) => {
+    encoder.addEventListener('dequeue', resolve, { once: true });
+    signal.addEventListener('abort', resolve, { once: true });
+  });
+}
+
+async function encodeWithWebCodecs(job, config, signal) {
+  const { width, height, fps, totalFrames, format } = job;
+
+  let muxer;
+  let target;
+  if (format.webcodecs.muxer === 'mp4') {
+    target = new Mp4Target();
+    muxer = new Mp4Muxer({
+      target,
+      video: { codec: 'avc', width, height, frameRate: fps },
+      // Reserve the moov box up front so chunks never have to be held in memory
+      fastStart: { expectedVideoChunks: totalFrames },
+    });
+  } else {
+    target = new WebmTarget();
+    muxer = new WebmMuxer({
+      target,
+      video: { codec: 'V_VP9', width, height, frameRate: fps },
+    });
+  }
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (e) => { encodeError = e; },
+  });
+  encoder.configure(config);
+  const closeEncoder = () => {
+    if (encoder.state !== 'closed') encoder.close();
+  };
+  signal.addEventListener('abort', closeEncoder);
+
+  try {
+    const frameDuration = 1e6 / fps; // µs
+    const keyFrameInterval = fps * 2;
+
+    for (let i = 0; i < totalFrames; i++) {
+      signal.throwIfAborted();
+      if (encodeError) throw encodeError;
+
+      // Backpressure: never let more than a few frames wait in the encoder
+      while (encoder.state === 'configured' && encoder.encodeQueueSize > MAX_QUEUED_FRAMES) {
+        await waitForDequeue(encoder, signal);
+        signal.throwIfAborted();
+      }
+
+      const time = (i / fps) * 1000;
+      await renderer.prepareFrame(time);
+      const outCanvas = renderer.renderExportFrame(time);
+      const frame = new VideoFrame(outCanvas, {
+        timestamp: Math.round(i * frameDuration),
+        duration: Math.round(frameDuration),
+      });
+      encoder.encode(frame, { keyFrame: i % keyFrameInterval === 0 });
+      frame.close();
+
+      updateProgress(i + 1, totalFrames, `Encoding frame ${i + 1} / ${totalFrames}`);
+    }
+
+    await encoder.flush();
+    if (encodeError) throw encodeError;
+    muxer.finalize();
+    return new Blob([target.buffer], { type: format.mime });
+  } finally {
+    signal.removeEventListener('abort', closeEncoder);
+    closeEncoder();
+  }
+}
 
-    updateProgress(0, totalFrames, 'Loading FFmpeg...');
+// ─── FFmpeg encoder (fallback) ──────────────────────────────────────
+// Frames are written as PNG in chunks of FFMPEG_CHUNK_FRAMES; each chunk is
+// encoded into its own segment and deleted before the next one is rendered,
+// so MEMFS never holds more than one chunk of frames. The segments are
+// joined losslessly with the concat demuxer at the end. Animated image
+// formats are encoded as a single chunk (they are small anyway).
 
-    const ffmpeg = createFFmpegWorker();
+function frameFileName(i) {
+  return `frame_${String(i).padStart(5, '0')}.png`;
+}
+
+async function encodeWithFFmpeg(job, signal) {
+  const { fps, totalFrames, format } = job;
+
+  updateProgress(0, totalFrames, 'Loading FFmpeg...');
 
+  const ffmpeg = createFFmpegWorker();
+  // Terminating the worker rejects whatever call is in flight (load, writeFile, exec)
+  // and drops its MEMFS along with any frames still stored there.
+  const terminate = () => ffmpeg.terminate();
+  signal.addEventListener('abort', terminate);
+
+  try {
     const base = import.meta.env.BASE_URL || '/';
     const coreURL = new URL(`${base}ffmpeg/ffmpeg-core.js`, window.location.href).toString();
     const wasmURL = new URL(`${base}ffmpeg/ffmpeg-core.wasm`, window.location.href).toString();
@@ -53,85 +649,85 @@ async function startExport() {
       wasmURL,
     });
 
-    updateProgress(0, totalFrames, 'Rendering frames...');
+    const segments = [];
+    const chunkFrames = format.animatedImage ? totalFrames : FFMPEG_CHUNK_FRAMES;
+    let chunkStart = 0;
+    let chunkSize = 0;
 
-    // Prepare reusable canvases (no per-frame allocation)
-    renderer.initExport(exportWidth, exportHeight);
+    ffmpeg.onProgress((pct) => {
+      const done = chunkStart + Math.round((chunkSize * pct) / 100);
+      updateProgress(done, totalFrames, `Encoding frame ${done} / ${totalFrames}`);
+    });
 
     // All layer cycles are integers → frame at time=0 and time=duration are
     // mathematically identical, so no crossfade is needed for seamless looping.
     // Frames are encoded as PNG (lossless) for maximum quality.
-    for (let i = 0; i < totalFrames; i++) {
-      const time = (i / fps) * 1000;
-      const outCanvas = renderer.renderExportFrame(time);
+    for (chunkStart = 0; chunkStart < totalFrames; chunkStart += chunkFrames) {
+      chunkSize = Math.min(chunkFrames, totalFrames - chunkStart);
+
+      for (let i = chunkStart; i < chunkStart + chunkSize; i++) {
+        signal.throwIfAborted();
+        const time = (i / fps) * 1000;
+        await renderer.prepareFrame(time);
+        const outCanvas = renderer.renderExportFrame(time);
 
-      const blob = await canvasToBlob(outCanvas, 'image/png');
-      const data = new Uint8Array(await blob.arrayBuffer());
+        const blob = await canvasToBlob(outCanvas, 'image/png');
+        const data = new Uint8Array(await blob.arrayBuffer());
+        await ffmpeg.writeFile(frameFileName(i), data);
 
-      const frameName = `frame_${String(i).padStart(5, '0')}.png`;
-      await ffmpeg.writeFile(frameName, data);
+        updateProgress(i + 1, totalFrames, `Rendering frame ${i + 1} / ${totalFrames}`);
+      }
+
+      const segmentName = `segment_${String(segments.length).padStart(3, '0')}.${format.ext}`;
+      const exitCode = await ffmpeg.exec([
+        '-framerate', String(fps),
+        '-start_number', String(chunkStart),
+        '-i', 'frame_%05d.png',
+        '-frames:v', String(chunkSize),
+        ...formatArgs(format, job),
+        segmentName,
+      ]);
+      if (exitCode !== 0) {
+        throw new Error(`ffmpeg exited with code ${exitCode}`);
+      }
+      segments.push(segmentName);
 
-      updateProgress(i + 1, totalFrames, `Rendering frame ${i + 1} / ${totalFrames}`);
+      for (let i = chunkStart; i < chunkStart + chunkSize; i++) {
+        try { await ffmpeg.deleteFile(frameFileName(i)); } catch (_) {}
+      }
     }
 
-    renderer.cleanupExport();
+    signal.throwIfAborted();
+    ffmpeg.onProgress(null);
 
-    ffmpeg.onProgress((pct) => {
-      progressBar.style.width = `${pct}%`;
-      progressText.textContent = `Encoding video... ${pct}%`;
-    });
+    // A single segment already is the output
+    if (segments.length === 1) {
+      const outputData = await ffmpeg.readFile(segments[0]);
+      return new Blob([outputData.buffer], { type: format.mime });
+    }
+
+    progressText.textContent = 'Joining segments...';
 
+    const outputName = `output.${format.ext}`;
+    const list = segments.map(name => `file '${name}'`).join('\n');
+    await ffmpeg.writeFile('segments.txt', new TextEncoder().encode(list));
     const exitCode = await ffmpeg.exec([
-      '-framerate', String(fps),
-      '-i', 'frame_%05d.png',
-      '-c:v', 'libx264',
-      '-preset', 'medium',
-      '-crf', '14',
-      '-pix_fmt', 'yuv444p',
-      '-color_range', 'pc',
-      '-colorspace', 'bt709',
-      '-color_trc', 'bt709',
-      '-color_primaries', 'bt709',
-      '-movflags', '+faststart',
-      'output.mp4',
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', 'segments.txt',
+      '-c', 'copy',
+      ...(format.ext === 'mp4' ? ['-movflags', '+faststart'] : []),
+      outputName,
     ]);
-
     if (exitCode !== 0) {
       throw new Error(`ffmpeg exited with code ${exitCode}`);
     }
 
-    const outputData = await ffmpeg.readFile('output.mp4');
-    const mp4Blob = new Blob([outputData.buffer], { type: 'video/mp4' });
-
-    const url = URL.createObjectURL(mp4Blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `background-${exportWidth}x${exportHeight}-${fps}fps.mp4`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    for (let i = 0; i < totalFrames; i++) {
-      const frameName = `frame_${String(i).padStart(5, '0')}.png`;
-      try { await ffmpeg.deleteFile(frameName); } catch (_) {}
-    }
-    try { await ffmpeg.deleteFile('output.mp4'); } catch (_) {}
-
-    ffmpeg.terminate();
-    updateProgress(totalFrames, totalFrames, 'Export complete!');
-  } catch (err) {
-    console.error('Export failed:', err);
-    const msg = err instanceof Error ? err.message : String(err);
-    progressText.textContent = `Export failed: ${msg}`;
+    const outputData = await ffmpeg.readFile(outputName);
+    return new Blob([outputData.buffer], { type: format.mime });
   } finally {
-    isExporting = false;
-    exportBtn.disabled = false;
-    exportBtn.textContent = 'Export Video';
-    exportBtn.classList.remove('opacity-50', 'cursor-not-allowed');
-    setTimeout(() => {
-      progressContainer.classList.add('hidden');
-    }, 3000);
+    signal.removeEventListener('abort', terminate);
+    ffmpeg.terminate();
   }
 }
 
@@ -141,6 +737,18 @@ function updateProgress(current, total, message) {
   progressText.textContent = message;
 }
 
+/** Trigger a browser download for a Blob. */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 function canvasToBlob(canvas, type, quality) {
   return new Promise((resolve) => {
     canvas.toBlob(resolve, type, quality);
@@ -233,6 +841,7 @@ self.onmessage = async ({ data: { id, type, data: _data } }) => {
   const resolves = {};
   const rejects = {};
   let progressCb = null;
+  let terminated = false;
 
   worker.onmessage = ({ data: { id, type, data } }) => {
     if (type === 'LOG') {
@@ -259,6 +868,10 @@ self.onmessage = async ({ data: { id, type, data: _data } }) => {
 
   function send(type, data) {
     return new Promise((resolve, reject) => {
+      if (terminated) {
+        reject(new Error('ffmpeg worker terminated'));
+        return;
+      }
       const id = nextId++;
       resolves[id] = resolve;
       rejects[id] = reject;
@@ -275,6 +888,16 @@ self.onmessage = async ({ data: { id, type, data: _data } }) => {
     readFile: (path, encoding) => send('READ_FILE', { path, encoding }),
     deleteFile: (path) => send('DELETE_FILE', { path }),
     onProgress: (cb) => { progressCb = cb; },
-    terminate: () => worker.terminate(),
+    terminate: () => {
+      if (terminated) return;
+      terminated = true;
+      worker.terminate();
+      // A terminated worker never answers, so settle everything still waiting
+      for (const id of Object.keys(rejects)) {
+        rejects[id](new Error('ffmpeg worker terminated'));
+        delete resolves[id];
+        delete rejects[id];
+      }
+    },
   };
 }
@@ -0,0 +1,161 @@
+/**
+ * Seeded scene generator.
+ * Rolls the layer count, background, colors, shapes, motions and per-layer
+ * slider values within the ranges the panel allows. The same seed and locks
+ * always give the same scene. Property locks keep an aspect of every layer;
+ * a layer with layer.locked set is kept untouched.
+ */
+
+import { renderer, SHAPE_TYPES, MOTION_TYPES, createLayer, seededRandom } from './aurora.js';
+import { LAYER_SLIDERS, refreshControls, autoBlendMode } from './controls.js';
+
+const SEED_MAX = 99999;
+const LAYER_COUNT = { min: 2, max: 7 };
+
+const ROLLED_SLIDERS = LAYER_SLIDERS.filter(sl => sl.roll !== false);
+
+// Lockable aspects; layer ones map to a layer property
+const LOCKS = [
+  { key: 'count',      label: 'Count' },
+  { key: 'background', label: 'Background' },
+  { key: 'color',      label: 'Colors',    prop: 'color' },
+  { key: 'shape',      label: 'Shapes',    prop: 'shape' },
+  { key: 'motion',     label: 'Motions',   prop: 'motion' },
+  ...ROLLED_SLIDERS.map(sl => ({ key: sl.prop, label: `${sl.prop[0].toUpperCase()}${sl.prop.slice(1)}`, prop: sl.prop })),
+];
+
+const lockedProps = new Set();
+
+function pick(rng, list) {
+  return list[Math.floor(rng() * list.length)];
+}
+
+/** Random value on a slider's step grid. */
+function sliderValue(rng, sl) {
+  const steps = Math.round((sl.max - sl.min) / sl.step);
+  const value = sl.min + Math.round(rng() * steps) * sl.step;
+  return Number(value.toFixed(4));
+}
+
+/** Convert HSL (h in degrees, s/l in 0–1) to #rrggbb. */
+export function hslToHex(h, s, l) {
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    const c = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(c * 255).toString(16).padStart(2, '0');
+  };
+  return `#${f(0)}${f(8)}${f(4)}`;
+}
+
+// The path motion follows a drawn curve and the image shape an uploaded file, so neither is rolled
+const RANDOM_MOTIONS = Object.values(MOTION_TYPES).filter(m => m !== MOTION_TYPES.path);
+const RANDOM_SHAPES = Object.values(SHAPE_TYPES).filter(sh => sh !== SHAPE_TYPES.image);
+
+/** Independent stream per seed and slot, so locking one part never shifts another. */
+function streamRandom(seed, slot) {
+  const rng = seededRandom(seed * 7411 + slot * 7919 + 1);
+  rng(); // the first draws of nearby seeds are close together
+  return rng;
+}
+
+/** One layer's rolled values; every value is drawn even if locked, in a fixed order. */
+function rollLayer(rng, baseHue) {
+  // Hues stay within a 120° band so the result reads as one palette
+  const hue = (baseHue + rng() * 120) % 360;
+  const rolled = {
+    seed: Math.floor(rng() * SEED_MAX),
+    color: hslToHex(hue, 0.6 + rng() * 0.35, 0.5 + rng() * 0.2),
+    shape: pick(rng, RANDOM_SHAPES),
+    motion: pick(rng, RANDOM_MOTIONS),
+  };
+  for (const sl of ROLLED_SLIDERS) rolled[sl.prop] = sliderValue(rng, sl);
+  return rolled;
+}
+
+/**
+ * Replace the scene with the one generated from seed, keeping whatever is
+ * locked, and rebuild the panel.
+ */
+export function generateScene(seed) {
+  const rng = streamRandom(seed, 0);
+  const baseHue = rng() * 360;
+  const dark = rng() < 0.85;
+  let count = LAYER_COUNT.min + Math.floor(rng() * (LAYER_COUNT.max - LAYER_COUNT.min + 1));
+
+  const current = renderer.settings.layers;
+  const lockedCount = current.filter(l => l.locked).length;
+  if (lockedProps.has('count')) count = current.length;
+  count = Math.max(count, lockedCount, 1);
+
+  // Keep the current layers in order; drop unlocked ones from the top when there are too many
+  const kept = [...current];
+  for (let i = kept.length - 1; i >= 0 && kept.length > count; i--) {
+    if (!kept[i].locked) kept.splice(i, 1);
+  }
+
+  const layers = [];
+  for (let i = 0; i < count; i++) {
+    const old = kept[i];
+    if (old?.locked) {
+      layers.push(old);
+      continue;
+    }
+    const rolled = rollLayer(streamRandom(seed, i + 1), baseHue);
+    for (const { key, prop } of LOCKS) {
+      if (prop && old && lockedProps.has(key)) rolled[prop] = old[prop];
+    }
+    // A kept image shape keeps its picture
+    if (rolled.shape === SHAPE_TYPES.image) rolled.media = old.media;
+    // A fresh layer in the old one's slot keeps its id, so its keyframes stay attached
+    const others = [...layers, ...kept.slice(i + 1)];
+    layers.push(createLayer(others, old ? { ...rolled, id: old.id } : rolled));
+  }
+
+  // Tracks of dropped layers go with them
+  const ids = new Set(layers.map(l => l.id));
+  const keyframes = Object.fromEntries(Object.entries(renderer.settings.keyframes)
+    .filter(([path]) => !path.includes('.') || ids.has(path.split('.')[0])));
+
+  const patch = { layers, keyframes };
+  if (!lockedProps.has('background')) {
+    patch.bgColor = dark ? hslToHex(baseHue, 0.5, 0.04 + rng() * 0.04) : hslToHex(baseHue, 0.4, 0.9 + rng() * 0.06);
+    patch.blendMode = autoBlendMode(patch.bgColor);
+  }
+  renderer.updateSettings(patch);
+  refreshControls();
+  seedInput.value = seed;
+}
+
+/** Generate a scene from a fresh random seed. */
+export function randomizeScene() {
+  generateScene(Math.floor(Math.random() * (SEED_MAX + 1)));
+}
+
+// ═══════════════════════════════════════════
+// Panel
+// ═══════════════════════════════════════════
+
+const seedInput = document.getElementById('generator-seed');
+const locksEl = document.getElementById('generator-locks');
+
+seedInput.max = SEED_MAX;
+
+document.getElementById('generator-run').addEventListener('click', () => {
+  const seed = parseInt(seedInput.value, 10);
+  if (Number.isInteger(seed) && seed >= 0 && seed <= SEED_MAX) generateScene(seed);
+  else randomizeScene();
+});
+document.getElementById('generator-random').addEventListener('click', randomizeScene);
+
+for (const { key, label } of LOCKS) {
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = 'lock-chip';
+  chip.textContent = label;
+  chip.addEventListener('click', () => {
+    if (lockedProps.has(key)) lockedProps.delete(key);
+    else lockedProps.add(key);
+    chip.classList.toggle('active', lockedProps.has(key));
+  });
+  locksEl.appendChild(chip);
+}
@@ -0,0 +1,107 @@
+/**
+ * Undo / redo history for panel edits.
+ * Every settings change is coalesced into snapshots: edits made while a
+ * pointer is held (slider drags) or in quick succession become one entry.
+ */
+
+import { renderer } from './aurora.js';
+import { refreshControls } from './controls.js';
+
+const MAX_ENTRIES = 100;
+const SETTLE_MS = 300; // idle time before a burst of edits becomes one entry
+
+const undoStack = [];
+const redoStack = [];
+let baseline = snapshot(); // last committed state
+let pending = false;
+let pointerDown = false;
+let restoring = false;
+let settleTimeout = null;
+
+const undoBtn = document.getElementById('history-undo');
+const redoBtn = document.getElementById('history-redo');
+
+// Uploaded files are referenced by source id (see media.js), so snapshots stay small
+function snapshot() {
+  return structuredClone(renderer.settings);
+}
+
+function updateButtons() {
+  undoBtn.disabled = undoStack.length === 0 && !pending;
+  redoBtn.disabled = redoStack.length === 0;
+}
+
+/** Turn pending edits into a history entry. */
+function commit() {
+  clearTimeout(settleTimeout);
+  if (!pending) return;
+  pending = false;
+  const current = snapshot();
+  if (JSON.stringify(current) === JSON.stringify(baseline)) {
+    updateButtons();
+    return;
+  }
+  undoStack.push(baseline);
+  if (undoStack.length > MAX_ENTRIES) undoStack.shift();
+  redoStack.length = 0;
+  baseline = current;
+  updateButtons();
+}
+
+function restore(state) {
+  restoring = true;
+  try {
+    renderer.updateSettings(structuredClone(state));
+    refreshControls();
+  } finally {
+    restoring = false;
+  }
+  baseline = state;
+  updateButtons();
+}
+
+export function undo() {
+  commit();
+  if (!undoStack.length) return;
+  redoStack.push(baseline);
+  restore(undoStack.pop());
+}
+
+export function redo() {
+  commit();
+  if (!redoStack.length) return;
+  undoStack.push(baseline);
+  restore(redoStack.pop());
+}
+
+/** Forget all history and treat the current settings as the starting point. */
+export function clearHistory() {
+  clearTimeout(settleTimeout);
+  undoStack.length = 0;
+  redoStack.length = 0;
+  pending = false;
+  baseline = snapshot();
+  updateButtons();
+}
+
+renderer.onChange(() => {
+  if (restoring) return;
+  pending = true;
+  updateButtons();
+  clearTimeout(settleTimeout);
+  if (!pointerDown) settleTimeout = setTimeout(commit, SETTLE_MS);
+});
+
+// A drag only ends when the pointer is released
+document.addEventListener('pointerdown', () => { pointerDown = true; }, true);
+document.addEventListener('pointerup', () => {
+  pointerDown = false;
+  if (pending) commit();
+}, true);
+document.addEventListener('pointercancel', () => { pointerDown = false; }, true);
+
+undoBtn.addEventListener('click', undo);
+redoBtn.addEventListener('click', redo);
+// Ctrl+Z / Ctrl+Shift+Z are bound in commands.js
+
+updateButtons();
@@ -1,4 +1,16 @@
 import '../style.css';
-import './aurora.js';
+import { renderer } from './aurora.js';
 import './controls.js';
 import './exporter.js';
+import './scene.js';
+import './palettes.js';
+import { restoreSceneFromHash } from './share.js';
+import { clearHistory } from './history.js';
+import './transport.js';
+import './anchors.js';
+import './commands.js';
+
+// Apply a shared link before the first preview frame is drawn
+restoreSceneFromHash();
+clearHistory();
+renderer.startPreview();
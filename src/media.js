@@ -0,0 +1,192 @@
+/**
+ * Image and video sources for layers with the 'image' shape.
+ * A layer's media is { type, source, name }, where source is the id of an
+ * uploaded file in the library below; each source is decoded once and shared.
+ *
+ * Videos play at their own speed from the start of the loop and wrap at the
+ * end of the clip, so a clip whose length divides the loop loops seamlessly.
+ * Exports never let a video run on its own clock: prepareMedia() seeks every
+ * video to the exact frame for a time before that frame is drawn, so the
+ * same time always gives the same picture. The preview lets videos play and
+ * only reseeks them when they drift (see syncPreviewMedia()).
+ */
+
+const MEDIA_TYPES = { image: 'image', video: 'video' };
+
+// File types each media type accepts, and the largest file stored in a scene
+const MEDIA_FORMATS = {
+  image: { mime: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'], maxBytes: 4 * 1024 * 1024 },
+  video: { mime: ['video/mp4', 'video/webm'], maxBytes: 16 * 1024 * 1024 },
+};
+
+const PREVIEW_DRIFT = 0.2; // seconds a playing preview video may drift before it is reseeked
+const SEEK_NUDGE = 0.001; // seconds past the frame start, so rounding never lands on the frame before
+
+/** Media type of a file, or null when layers can't use it. */
+function mediaTypeOf(file) {
+  return Object.keys(MEDIA_FORMATS).find(type => MEDIA_FORMATS[type].mime.includes(file.type)) ?? null;
+}
+
+// ── Library ──
+// Uploaded files are kept here as data: URLs and settings refer to them by
+// source id, so settings snapshots (undo history) never copy the file data.
+// Scene files carry the data itself, see serializeScene() in scene.js.
+
+const library = new Map(); // source id → data: URL
+const libraryIds = new Map(); // data: URL → source id
+let nextSourceId = 1;
+
+/** Store a data: URL and return its source id; the same data always gets the same id. */
+function addSource(url) {
+  if (!libraryIds.has(url)) {
+    const id = `S${nextSourceId++}`;
+    library.set(id, url);
+    libraryIds.set(url, id);
+  }
+  return libraryIds.get(url);
+}
+
+/** The data: URL of a source id, or null for an unknown id. */
+function sourceUrl(id) {
+  return library.get(id) ?? null;
+}
+
+// ── Sources ──
+
+// Decoded sources by source id; an entry is ready once its first frame can be drawn
+const sources = new Map();
+
+function mediaSource(media) {
+  const url = sourceUrl(media.source);
+  if (!url) return { ready: false, loaded: Promise.resolve() };
+  if (!sources.has(media.source)) {
+    const video = media.type === MEDIA_TYPES.video;
+    const element = video ? document.createElement('video') : new Image();
+    const entry = { element, video, ready: false };
+    entry.loaded = new Promise((resolve) => {
+      element.addEventListener(video ? 'loadeddata' : 'load', () => {
+        entry.ready = true;
+        resolve();
+      }, { once: true });
+      // A broken source is simply not drawn
+      element.addEventListener('error', () => resolve(), { once: true });
+    });
+    if (video) {
+      element.muted = true;
+      element.loop = true;
+      element.playsInline = true;
+      element.preload = 'auto';
+    }
+    element.src = url;
+    sources.set(media.source, entry);
+  }
+  return sources.get(media.source);
+}
+
+/**
+ * Drop decoded sources that no image layer or image overlay in settings
+ * draws any more, stopping their videos. The files stay in the library, so
+ * an undo can bring them back.
+ */
+function releaseUnusedMedia(settings) {
+  const used = new Set([
+    ...mediaLayers(settings.layers).map(l => l.media.source),
+    ...settings.overlays.filter(o => o.type === 'image' && o.source).map(o => o.source),
+  ]);
+  for (const [source, { element, video }] of sources) {
+    if (used.has(source)) continue;
+    if (video) {
+      element.pause();
+      element.removeAttribute('src');
+      element.load();
+    }
+    sources.delete(source);
+  }
+}
+
+/** Resolves once a media source has loaded or failed to. */
+function mediaLoaded(media) {
+  return mediaSource(media).loaded;
+}
+
+function mediaLayers(layers) {
+  return layers.filter(l => l.shape === 'image' && l.media);
+}
+
+/**
+ * The decoded element of a layer's media with its natural size, or null
+ * while it is still loading (or failed to). Sources without a natural size
+ * (SVGs missing width and height) are null too unless sized is false.
+ * @returns {{element: HTMLImageElement|HTMLVideoElement, width: number, height: number}|null}
+ */
+function mediaFrame(media, { sized = true } = {}) {
+  if (!media) return null;
+  const { element, video, ready } = mediaSource(media);
+  if (!ready) return null;
+  const width = video ? element.videoWidth : element.naturalWidth;
+  const height = video ? element.videoHeight : element.naturalHeight;
+  return (width && height) || !sized ? { element, width, height } : null;
+}
+
+/** Clip time (s) shown at loop time (ms). */
+function videoTime(element, time) {
+  const { duration } = element;
+  if (!Number.isFinite(duration) || duration <= 0) return 0;
+  return Math.min(((time / 1000) % duration) + SEEK_NUDGE, duration);
+}
+
+function seekVideo(element, target) {
+  if (!element.seeking && element.readyState >= 2 && Math.abs(element.currentTime - target) < 1e-4) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      element.removeEventListener('seeked', done);
+      element.removeEventListener('error', done);
+      resolve();
+    };
+    element.addEventListener('seeked', done);
+    element.addEventListener('error', done);
+    element.currentTime = target;
+  });
+}
+
+/**
+ * Load the media of layers and put every video on its frame for time (ms).
+ * Await it before drawing an export frame; videos are left paused.
+ */
+async function prepareMedia(layers, time) {
+  const entries = mediaLayers(layers).map(l => mediaSource(l.media));
+  await Promise.all(entries.map(e => e.loaded));
+  await Promise.all(entries.filter(e => e.video && e.ready).map(({ element }) => {
+    element.pause();
+    return seekVideo(element, videoTime(element, time));
+  }));
+}
+
+/**
+ * Keep preview videos near loop time (ms): playing at rate while the preview
+ * plays, and parked on the exact frame while it is paused.
+ */
+function syncPreviewMedia(layers, time, playing, rate = 1) {
+  for (const layer of mediaLayers(layers)) {
+    const { element, video, ready } = mediaSource(layer.media);
+    if (!video || !ready || element.seeking) continue;
+    const target = videoTime(element, time);
+    const drift = Math.abs(element.currentTime - target);
+    if (playing) {
+      element.playbackRate = rate;
+      if (element.paused) element.play().catch(() => {});
+      // Wrapping at the end of the clip counts as in sync
+      if (drift > PREVIEW_DRIFT && element.duration - drift > PREVIEW_DRIFT) element.currentTime = target;
+    } else {
+      if (!element.paused) element.pause();
+      if (drift > 1e-3) element.currentTime = target;
+    }
+  }
+}
+
+export {
+  MEDIA_TYPES, MEDIA_FORMATS, mediaTypeOf, addSource, sourceUrl, mediaFrame, mediaLoaded, prepareMedia, syncPreviewMedia,
+  releaseUnusedMedia,
+};
@@ -0,0 +1,132 @@
+/**
+ * Overlay layers: text and images (PNG, JPEG, WebP, SVG) drawn over the
+ * finished background, after blur and post-processing, so they stay sharp.
+ * Like the background, positions and sizes are fractions of the scene, so
+ * an export frames its overlays exactly the way the preview does.
+ */
+
+import { MEDIA_TYPES, mediaFrame, mediaLoaded } from './media.js';
+
+const OVERLAY_TYPES = { text: 'text', image: 'image' };
+const OVERLAY_ANIMATIONS = ['none', 'fade', 'float'];
+const OVERLAY_ALIGNS = ['left', 'center', 'right'];
+const OVERLAY_WEIGHTS = [400, 600, 800];
+
+// System font stacks, so overlays render the same in preview and export without loading anything
+const OVERLAY_FONTS = {
+  sans: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif',
+  serif: 'Georgia, "Times New Roman", serif',
+  mono: 'ui-monospace, Menlo, Consolas, monospace',
+  condensed: '"Arial Narrow", "Roboto Condensed", sans-serif-condensed, sans-serif',
+};
+
+// size is the text's font size, or the image's height, as a fraction of scene height
+const OVERLAY_SLIDERS = [
+  { prop: 'x', min: 0, max: 1, step: 0.01 },
+  { prop: 'y', min: 0, max: 1, step: 0.01 },
+  { prop: 'size', min: 0.02, max: 1, step: 0.01 },
+  { prop: 'opacity', min: 0, max: 1, step: 0.05 },
+];
+
+const MAX_TEXT_LENGTH = 500;
+const LINE_HEIGHT = 1.2;
+const FADE_SPAN = 0.15; // share of the loop spent fading in, and again fading out
+const FLOAT_RANGE = 0.015; // float amplitude as a fraction of scene height
+
+/**
+ * Create an overlay of the given type with an id that is free in existing.
+ * @param {object[]} existing overlays the new one will join
+ * @param {'text'|'image'} type
+ * @param {object} [props] property overrides
+ */
+function createOverlay(existing, type, props = {}) {
+  const used = existing.map(o => parseInt(String(o.id).slice(1)) || 0);
+  const common = {
+    id: `O${Math.max(0, ...used) + 1}`,
+    type,
+    x: 0.5,
+    y: 0.5,
+    size: type === OVERLAY_TYPES.text ? 0.08 : 0.2,
+    opacity: 1,
+    animation: 'none', // see overlayAnimation()
+  };
+  const specific = type === OVERLAY_TYPES.text
+    ? { text: 'Your title', font: 'sans', weight: 600, color: '#ffffff', align: 'center' }
+    : { source: null, name: '' }; // source is an uploaded file, see media.js
+  return { ...common, ...specific, ...props };
+}
+
+// ── Images ──
+
+function overlayMedia(overlay) {
+  return { type: MEDIA_TYPES.image, source: overlay.source };
+}
+
+/** Resolves once every image overlay in the list has loaded or failed to. */
+function overlayImagesReady(overlays) {
+  return Promise.all(overlays
+    .filter(o => o.type === OVERLAY_TYPES.image && o.source)
+    .map(o => mediaLoaded(overlayMedia(o))));
+}
+
+// ── Drawing ──
+
+/**
+ * Opacity factor and vertical offset (scene fraction) of an overlay at loop
+ * phase (0–1). Both animations return to their start at the end of the loop.
+ */
+function overlayAnimation(overlay, phase) {
+  if (overlay.animation === 'fade') {
+    const t = Math.min(1, phase / FADE_SPAN, (1 - phase) / FADE_SPAN);
+    return { alpha: t * t * (3 - 2 * t), offsetY: 0 };
+  }
+  if (overlay.animation === 'float') {
+    return { alpha: 1, offsetY: Math.sin(phase * Math.PI * 2) * FLOAT_RANGE };
+  }
+  return { alpha: 1, offsetY: 0 };
+}
+
+function drawText(c, overlay, x, y, size) {
+  c.font = `${overlay.weight} ${size}px ${OVERLAY_FONTS[overlay.font]}`;
+  c.fillStyle = overlay.color;
+  c.textAlign = overlay.align;
+  c.textBaseline = 'middle';
+  // Lines are stacked around y
+  const lines = overlay.text.split('\n');
+  const top = y - ((lines.length - 1) * size * LINE_HEIGHT) / 2;
+  lines.forEach((line, i) => c.fillText(line, x, top + i * size * LINE_HEIGHT));
+}
+
+function drawImage(c, overlay, x, y, size) {
+  const frame = overlay.source && mediaFrame(overlayMedia(overlay), { sized: false });
+  if (!frame) return;
+  // SVGs without width and height report no natural size; draw those square
+  const aspect = frame.width && frame.height ? frame.width / frame.height : 1;
+  const width = size * aspect;
+  c.drawImage(frame.element, x - width / 2, y - size / 2, width, size);
+}
+
+/**
+ * Draw overlays, first at the bottom, centered on their (x, y) in a w×h
+ * scene at loop phase (0–1). Images still loading are skipped.
+ */
+function drawOverlays(c, overlays, phase, w, h) {
+  for (const overlay of overlays) {
+    const { alpha, offsetY } = overlayAnimation(overlay, phase);
+    const opacity = overlay.opacity * alpha;
+    if (opacity <= 0) continue;
+    const x = overlay.x * w;
+    const y = (overlay.y + offsetY) * h;
+    const size = overlay.size * h;
+    c.save();
+    c.globalAlpha = opacity;
+    if (overlay.type === OVERLAY_TYPES.text) drawText(c, overlay, x, y, size);
+    else drawImage(c, overlay, x, y, size);
+    c.restore();
+  }
+}
+
+export {
+  OVERLAY_TYPES, OVERLAY_ANIMATIONS, OVERLAY_ALIGNS, OVERLAY_WEIGHTS, OVERLAY_FONTS, OVERLAY_SLIDERS, MAX_TEXT_LENGTH,
+  createOverlay, overlayImagesReady, drawOverlays,
+};
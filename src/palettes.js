@@ -0,0 +1,307 @@
+/**
+ * Palette library.
+ * Built-in and user-saved palettes, palettes extracted from an uploaded image
+ * (k-means in the browser, nothing is uploaded) and color harmonies from a
+ * seed color. Applying a palette recolors every layer and picks a matching
+ * background and blend mode.
+ */
+
+import { renderer, seededRandom, hexToRgb } from './aurora.js';
+import { refreshControls, showNotice, hexLuminance, autoBlendMode } from './controls.js';
+import { hslToHex } from './generator.js';
+
+const STORAGE_KEY = 'background-maker-palettes';
+const MAX_SAVED_PALETTES = 24;
+const EXTRACT_COLORS = 6;
+const EXTRACT_SIZE = 64; // images are shrunk to at most this many pixels per side
+const KMEANS_ITERATIONS = 12;
+const MIN_COLOR_DISTANCE = 24; // RGB distance below which extracted colors count as one
+
+const BUILT_IN_PALETTES = [
+  { name: 'Aurora',   colors: ['#7c3aed', '#2563eb', '#06b6d4', '#10b981', '#a855f7', '#3b82f6'] },
+  { name: 'Sunset',   colors: ['#f97316', '#ef4444', '#ec4899', '#f59e0b', '#be185d', '#fb7185'] },
+  { name: 'Ocean',    colors: ['#0ea5e9', '#0369a1', '#14b8a6', '#38bdf8', '#0f766e', '#67e8f9'] },
+  { name: 'Forest',   colors: ['#16a34a', '#65a30d', '#15803d', '#a3e635', '#047857', '#84cc16'] },
+  { name: 'Candy',    colors: ['#f9a8d4', '#c4b5fd', '#93c5fd', '#fcd34d', '#f0abfc', '#a7f3d0'] },
+  { name: 'Ember',    colors: ['#dc2626', '#ea580c', '#facc15', '#b91c1c', '#f97316', '#fde047'] },
+  { name: 'Mono Ink', colors: ['#1e293b', '#334155', '#475569', '#0f172a', '#64748b', '#1e3a5f'] },
+  { name: 'Pastel',   colors: ['#fecdd3', '#fde68a', '#bbf7d0', '#bfdbfe', '#ddd6fe', '#fbcfe8'] },
+];
+
+// ── Color helpers ──
+
+function rgbToHex([r, g, b]) {
+  return `#${[r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/** Convert #rrggbb to HSL (h in degrees, s/l in 0–1). */
+function hexToHsl(hex) {
+  const [r, g, b] = hexToRgb(hex).map(v => v / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return [0, 0, l];
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [(h * 60 + 360) % 360, s, l];
+}
+
+// ── Applying ──
+
+/**
+ * Background for a palette: a deep shade of its darkest color, or a pale tint
+ * of its lightest one when the palette itself is light.
+ */
+function paletteBackground(colors) {
+  const byLum = [...colors].sort((a, b) => hexLuminance(a) - hexLuminance(b));
+  const avg = colors.reduce((sum, c) => sum + hexLuminance(c), 0) / colors.length;
+  if (avg > 0.6) {
+    const [h, s] = hexToHsl(byLum[byLum.length - 1]);
+    return hslToHex(h, Math.min(s, 0.5), 0.96);
+  }
+  const [h, s] = hexToHsl(byLum[0]);
+  return hslToHex(h, Math.min(s, 0.6), 0.05);
+}
+
+/** Recolor the layers with a palette (repeating it as needed) and set the background. */
+export function applyPalette(colors) {
+  const layers = renderer.settings.layers.map((layer, i) => ({ ...layer, color: colors[i % colors.length] }));
+  const bgColor = paletteBackground(colors);
+  renderer.updateSettings({ layers, bgColor, blendMode: autoBlendMode(bgColor) });
+  refreshControls();
+}
+
+// ── Saved palettes ──
+
+function loadSavedPalettes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(p => Array.isArray(p?.colors) && p.colors.length) : [];
+  } catch {
+    return [];
+  }
+}
+
+let savedPalettes = loadSavedPalettes();
+
+function storeSavedPalettes() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(savedPalettes));
+  } catch (err) {
+    console.error('Palette save failed:', err);
+    showNotice('Could not save palettes in this browser', 'error');
+  }
+}
+
+function savePalette(name, colors) {
+  savedPalettes = [{ name, colors: [...colors] }, ...savedPalettes].slice(0, MAX_SAVED_PALETTES);
+  storeSavedPalettes();
+  renderLibrary();
+  showNotice(`Saved palette "${name}"`);
+}
+
+// ── Extraction ──
+
+/**
+ * Main colors of an image by k-means over its pixels in RGB space.
+ * Centers start from k-means++ picks with a fixed seed, so the same image
+ * always gives the same palette. Returns hex colors, most common first.
+ */
+function extractPalette(pixels, k) {
+  const rng = seededRandom(1);
+  const dist = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+  const centers = [pixels[Math.floor(rng() * pixels.length)]];
+  while (centers.length < k) {
+    const weights = pixels.map(p => Math.min(...centers.map(c => dist(p, c))));
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total === 0) break; // fewer distinct colors than k
+    let r = rng() * total;
+    let next = pixels.length - 1;
+    for (let i = 0; i < weights.length; i++) {
+      r -= weights[i];
+      if (r <= 0) { next = i; break; }
+    }
+    centers.push(pixels[next]);
+  }
+
+  let counts = [];
+  for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+    const sums = centers.map(() => [0, 0, 0]);
+    counts = centers.map(() => 0);
+    for (const p of pixels) {
+      let best = 0;
+      for (let c = 1; c < centers.length; c++) {
+        if (dist(p, centers[c]) < dist(p, centers[best])) best = c;
+      }
+      sums[best][0] += p[0];
+      sums[best][1] += p[1];
+      sums[best][2] += p[2];
+      counts[best]++;
+    }
+    centers.forEach((_, c) => {
+      if (counts[c]) centers[c] = sums[c].map(v => v / counts[c]);
+    });
+  }
+
+  // Drop clusters that ended up nearly the same color as a bigger one
+  const kept = [];
+  centers
+    .map((center, c) => ({ center, count: counts[c] }))
+    .filter(entry => entry.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .forEach(entry => {
+      if (kept.every(other => dist(entry.center, other) > MIN_COLOR_DISTANCE ** 2)) kept.push(entry.center);
+    });
+  return kept.map(rgbToHex);
+}
+
+/** Decode an image file and return its opaque pixels as [r, g, b] triples. */
+async function imagePixels(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, EXTRACT_SIZE / Math.max(bitmap.width, bitmap.height));
+  const w = Math.max(1, Math.round(bitmap.width * scale));
+  const h = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const c = canvas.getContext('2d');
+  c.drawImage(bitmap, 0, 0, w, h);
+  bitmap.close();
+
+  const { data } = c.getImageData(0, 0, w, h);
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= 128) pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  return pixels;
+}
+
+// ── Harmonies ──
+
+const HARMONIES = {
+  analogous:     { label: 'Analogous',     hues: [-40, -20, 0, 20, 40, 0] },
+  triadic:       { label: 'Triadic',       hues: [0, 120, 240, 0, 120, 240] },
+  complementary: { label: 'Complementary', hues: [0, 180, 0, 180, 0, 180] },
+};
+
+/** Six colors around a seed color; repeated hues get a lighter or darker shade. */
+function harmonyPalette(seed, type) {
+  const [h, s, l] = hexToHsl(seed);
+  const SHADES = [0, 0.15, -0.15];
+  return HARMONIES[type].hues.map((offset, i, hues) => {
+    const repeat = hues.slice(0, i).filter(o => o === offset).length;
+    const shade = SHADES[repeat % SHADES.length];
+    const light = Math.min(0.85, Math.max(0.25, l + shade));
+    return hslToHex((h + offset + 360) % 360, Math.max(0.35, s), light);
+  });
+}
+
+// ═══════════════════════════════════════════
+// Panel
+// ═══════════════════════════════════════════
+
+const libraryEl = document.getElementById('palette-library');
+const saveCurrentBtn = document.getElementById('palette-save-current');
+const imageInput = document.getElementById('palette-image-file');
+const imageBtn = document.getElementById('palette-image');
+const extractedEl = document.getElementById('palette-extracted');
+const harmonySeed = document.getElementById('harmony-seed');
+const harmonyType = document.getElementById('harmony-type');
+const harmonyEl = document.getElementById('palette-harmony');
+
+/**
+ * A clickable palette strip that applies the palette.
+ * @param {{name:string, colors:string[]}} palette
+ * @param {{onDelete?:()=>void, onSave?:()=>void}} [actions]
+ */
+function createPaletteCard(palette, { onDelete, onSave } = {}) {
+  const card = document.createElement('div');
+  card.className = 'palette-card';
+  card.innerHTML = `
+    <button type="button" class="palette-apply" title="이 팔레트 적용">
+      <span class="palette-swatches">
+        ${palette.colors.map(c => `<span style="background: ${c}"></span>`).join('')}
+      </span>
+      <span class="palette-name"></span>
+    </button>
+  `;
+  card.querySelector('.palette-name').textContent = palette.name;
+  card.querySelector('.palette-apply').addEventListener('click', () => applyPalette(palette.colors));
+
+  if (onSave) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'layer-item-action';
+    btn.title = '내 팔레트에 저장';
+    btn.innerHTML = '<svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M5 1.5v7M1.5 5h7" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>';
+    btn.addEventListener('click', onSave);
+    card.appendChild(btn);
+  }
+  if (onDelete) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'layer-item-action';
+    btn.title = '팔레트 삭제';
+    btn.innerHTML = '<svg width="10" height="10" viewBox="0 0 10 10" fill="none"><path d="M2 2l6 6M8 2l-6 6" stroke="currentColor" stroke-width="1.3" stroke-linecap="round"/></svg>';
+    btn.addEventListener('click', onDelete);
+    card.appendChild(btn);
+  }
+  return card;
+}
+
+function renderLibrary() {
+  libraryEl.innerHTML = '';
+  savedPalettes.forEach((palette, i) => {
+    libraryEl.appendChild(createPaletteCard(palette, {
+      onDelete: () => {
+        savedPalettes = savedPalettes.filter((_, j) => j !== i);
+        storeSavedPalettes();
+        renderLibrary();
+      },
+    }));
+  });
+  for (const palette of BUILT_IN_PALETTES) libraryEl.appendChild(createPaletteCard(palette));
+}
+
+function renderHarmony() {
+  const colors = harmonyPalette(harmonySeed.value, harmonyType.value);
+  const name = `${HARMONIES[harmonyType.value].label} ${harmonySeed.value}`;
+  harmonyEl.innerHTML = '';
+  harmonyEl.appendChild(createPaletteCard({ name, colors }, { onSave: () => savePalette(name, colors) }));
+}
+
+saveCurrentBtn.addEventListener('click', () => {
+  const colors = [...new Set(renderer.settings.layers.map(l => l.color))];
+  savePalette(`My palette ${savedPalettes.length + 1}`, colors);
+});
+
+imageBtn.addEventListener('click', () => imageInput.click());
+imageInput.addEventListener('change', async () => {
+  const file = imageInput.files[0];
+  imageInput.value = ''; // allow re-selecting the same file
+  if (!file) return;
+  try {
+    const pixels = await imagePixels(file);
+    if (!pixels.length) throw new Error('The image has no opaque pixels');
+    const colors = extractPalette(pixels, EXTRACT_COLORS);
+    const name = file.name.replace(/\.[^.]+$/, '');
+    extractedEl.innerHTML = '';
+    extractedEl.appendChild(createPaletteCard({ name, colors }, { onSave: () => savePalette(name, colors) }));
+  } catch (err) {
+    console.error('Palette extraction failed:', err);
+    showNotice(err.message || 'Could not read that image', 'error');
+  }
+});
+
+harmonyType.innerHTML = Object.entries(HARMONIES)
+  .map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('');
+harmonySeed.addEventListener('input', renderHarmony);
+harmonyType.addEventListener('change', renderHarmony);
+
+renderLibrary();
+renderHarmony();
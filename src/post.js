@@ -0,0 +1,270 @@
+/**
+ * Post-processing applied after the blur: vignette, animated film grain and
+ * blue-noise dithering, in that order.
+ * Canvas 2D exports run applyPost() over the frame's pixels; the WebGL2
+ * backend runs POST_GLSL, the same math, in its output shader before the
+ * frame is quantized to 8 bits. The preview shows grain and vignette through
+ * overlay elements (see drawGrainCells() and vignetteGradient()).
+ *
+ * Grain and dither patterns are picked by frame time, never by a counter, so
+ * exports are deterministic; they change GRAIN_FPS times a second, and every
+ * whole-second loop holds a whole number of patterns, so the seam is clean.
+ */
+
+const GRAIN_FPS = 24;
+const VIGNETTE_START = 0.4; // normalized distance from the center where darkening begins
+const BLUE_NOISE_SIZE = 64;
+
+const DITHER_MODES = ['none', 'blue-noise'];
+
+/** 32-bit integer hash (lowbias32). */
+function hash32(x) {
+  x = (x ^ (x >>> 16)) >>> 0;
+  x = Math.imul(x, 0x7feb352d) >>> 0;
+  x = (x ^ (x >>> 15)) >>> 0;
+  x = Math.imul(x, 0x846ca68b) >>> 0;
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+/** Index of the grain pattern shown at time (ms). */
+function grainFrame(time) {
+  return Math.floor((time * GRAIN_FPS) / 1000 + 1e-6);
+}
+
+/** Grain value (0–1) of cell (x, y) in a grain frame; cells are interpolated between. */
+function grainCell(x, y, frame) {
+  return hash32((x + hash32((y + hash32(frame)) >>> 0)) >>> 0) / 4294967296;
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+// ── Blue noise ──
+
+let blueNoise = null;
+
+/**
+ * BLUE_NOISE_SIZE² tiling blue-noise values (0–1), built on first use by
+ * void filling: every pixel is ranked by how far it lies from the ones
+ * already placed, so equal-valued pixels end up evenly spread.
+ */
+function blueNoiseTile() {
+  if (blueNoise) return blueNoise;
+  const size = BLUE_NOISE_SIZE;
+  const count = size * size;
+
+  // Gaussian energy of a pixel at each wrapped offset
+  const sigma = 1.5;
+  const kernel = new Float32Array(count);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const x = Math.min(dx, size - dx);
+      const y = Math.min(dy, size - dy);
+      kernel[dy * size + dx] = Math.exp(-(x * x + y * y) / (2 * sigma * sigma));
+    }
+  }
+
+  const energy = new Float32Array(count);
+  const filled = new Uint8Array(count);
+  blueNoise = new Float32Array(count);
+  let next = 0;
+  for (let rank = 0; rank < count; rank++) {
+    filled[next] = 1;
+    blueNoise[next] = (rank + 0.5) / count;
+    const px = next % size;
+    const py = Math.floor(next / size);
+    for (let y = 0; y < size; y++) {
+      const row = ((y - py + size) % size) * size;
+      for (let x = 0; x < size; x++) energy[y * size + x] += kernel[row + ((x - px + size) % size)];
+    }
+    // The emptiest spot left is placed next
+    let lowest = Infinity;
+    for (let i = 0; i < count; i++) {
+      if (!filled[i] && energy[i] < lowest) {
+        lowest = energy[i];
+        next = i;
+      }
+    }
+  }
+  return blueNoise;
+}
+
+/** Offset of the blue-noise tile in a grain frame, so the dither pattern moves with the grain. */
+function blueNoiseOffset(frame) {
+  const h = hash32(frame ^ 0x9e3779b9);
+  return [h & (BLUE_NOISE_SIZE - 1), (h >>> 8) & (BLUE_NOISE_SIZE - 1)];
+}
+
+// ── Canvas 2D ──
+
+/** Whether a frame with these settings needs any post-processing. */
+function hasPost(s) {
+  return s.grain > 0 || s.vignette > 0 || s.dither !== 'none';
+}
+
+/**
+ * Apply the post-processing of settings s to an ImageData frame rendered at
+ * time (ms). Pixels are already 8-bit here, so the dither adds up to one
+ * step of blue noise, enough to break up bands before encoding.
+ */
+function applyPost(image, time, s) {
+  const { width, height, data } = image;
+  const frame = grainFrame(time);
+  const size = s.grainSize;
+
+  // Grain cells covering the frame, plus the one past each edge for interpolation
+  const cellsX = Math.ceil(width / size) + 2;
+  const cellsY = Math.ceil(height / size) + 2;
+  const cells = new Float32Array(cellsX * cellsY);
+  if (s.grain > 0) {
+    for (let y = 0; y < cellsY; y++) {
+      for (let x = 0; x < cellsX; x++) cells[y * cellsX + x] = grainCell(x - 1, y - 1, frame);
+    }
+  }
+
+  const tile = s.dither === 'blue-noise' ? blueNoiseTile() : null;
+  const [offsetX, offsetY] = blueNoiseOffset(frame);
+  const mask = BLUE_NOISE_SIZE - 1;
+
+  for (let py = 0; py < height; py++) {
+    const v = (py + 0.5) / size - 0.5;
+    const cellY = Math.floor(v);
+    const fy = v - cellY;
+    const ny = (py + 0.5) / height * 2 - 1;
+    for (let px = 0; px < width; px++) {
+      const i = (py * width + px) * 4;
+
+      let shade = 1;
+      if (s.vignette > 0) {
+        const nx = (px + 0.5) / width * 2 - 1;
+        shade = 1 - s.vignette * smoothstep(VIGNETTE_START, 1, Math.hypot(nx, ny) / Math.SQRT2);
+      }
+
+      let grain = 0.5;
+      if (s.grain > 0) {
+        const u = (px + 0.5) / size - 0.5;
+        const cellX = Math.floor(u);
+        const fx = u - cellX;
+        const row = (cellY + 1) * cellsX + cellX + 1;
+        const top = cells[row] + (cells[row + 1] - cells[row]) * fx;
+        const bottom = cells[row + cellsX] + (cells[row + cellsX + 1] - cells[row + cellsX]) * fx;
+        grain = top + (bottom - top) * fy;
+      }
+
+      let dither = 0;
+      if (tile) {
+        const x = px + offsetX;
+        const y = py + offsetY;
+        dither = tile[(y & mask) * BLUE_NOISE_SIZE + (x & mask)]
+          - tile[((y + 32) & mask) * BLUE_NOISE_SIZE + ((x + 32) & mask)];
+      }
+
+      for (let ch = 0; ch < 3; ch++) {
+        let c = (data[i + ch] / 255) * shade;
+        // Overlay of a gray grain value: 0.5 leaves the color as it is
+        const over = c <= 0.5 ? 2 * c * grain : 1 - 2 * (1 - c) * (1 - grain);
+        c += s.grain * (over - c);
+        data[i + ch] = Math.round(c * 255 + dither);
+      }
+    }
+  }
+  return image;
+}
+
+// ── WebGL2 ──
+
+/**
+ * GLSL of applyPost() for the WebGL2 output shader: post(color, pixel) takes
+ * a straight (not premultiplied) color and the pixel position counted from
+ * the top left, and returns the color quantized to 8 bits.
+ */
+const POST_GLSL = `
+#define VIGNETTE_START ${VIGNETTE_START.toFixed(2)}
+#define BLUE_NOISE_MASK ${BLUE_NOISE_SIZE - 1}
+uniform vec2 uOutputSize;
+uniform float uGrain;
+uniform float uGrainSize;
+uniform float uVignette;
+uniform bool uDither;
+uniform uint uFrame;
+uniform ivec2 uNoiseOffset;
+uniform sampler2D uBlueNoise;
+
+uint hash32(uint x) {
+  x ^= x >> 16u;
+  x *= 0x7feb352du;
+  x ^= x >> 15u;
+  x *= 0x846ca68bu;
+  x ^= x >> 16u;
+  return x;
+}
+
+float grainCell(ivec2 cell) {
+  return float(hash32(uint(cell.x) + hash32(uint(cell.y) + hash32(uFrame)))) / 4294967296.0;
+}
+
+vec3 post(vec3 color, ivec2 pixel) {
+  vec2 center = (vec2(pixel) + 0.5) / uOutputSize * 2.0 - 1.0;
+  color *= 1.0 - uVignette * smoothstep(VIGNETTE_START, 1.0, length(center) / sqrt(2.0));
+
+  if (uGrain > 0.0) {
+    vec2 uv = (vec2(pixel) + 0.5) / uGrainSize - 0.5;
+    ivec2 cell = ivec2(floor(uv));
+    vec2 f = uv - vec2(cell);
+    float grain = mix(
+      mix(grainCell(cell), grainCell(cell + ivec2(1, 0)), f.x),
+      mix(grainCell(cell + ivec2(0, 1)), grainCell(cell + ivec2(1, 1)), f.x),
+      f.y);
+    vec3 over = mix(2.0 * color * grain, 1.0 - 2.0 * (1.0 - color) * (1.0 - grain), step(0.5, color));
+    color += uGrain * (over - color);
+  }
+
+  float dither = 0.0;
+  if (uDither) {
+    ivec2 p = pixel + uNoiseOffset;
+    dither = texelFetch(uBlueNoise, p & BLUE_NOISE_MASK, 0).r
+      - texelFetch(uBlueNoise, (p + 32) & BLUE_NOISE_MASK, 0).r;
+  }
+  return clamp(floor(color * 255.0 + dither + 0.5), 0.0, 255.0) / 255.0;
+}
+`;
+
+// ── Preview ──
+
+/**
+ * Fill canvas with one pixel per grain cell of the grain frame at time (ms).
+ * Shown scaled up by the cell size, smoothed, and blended with overlay at
+ * the grain amount, it matches what applyPost() does to an export.
+ */
+function drawGrainCells(canvas, time) {
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(canvas.width, canvas.height);
+  const frame = grainFrame(time);
+  for (let y = 0; y < canvas.height; y++) {
+    for (let x = 0; x < canvas.width; x++) {
+      const i = (y * canvas.width + x) * 4;
+      const value = Math.round(grainCell(x, y, frame) * 255);
+      image.data[i] = image.data[i + 1] = image.data[i + 2] = value;
+      image.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+}
+
+/** CSS radial-gradient() with the vignette's darkening curve. */
+function vignetteGradient(amount) {
+  const stops = [];
+  for (let k = 0; k <= 8; k++) {
+    const r = VIGNETTE_START + ((1 - VIGNETTE_START) * k) / 8;
+    const alpha = amount * smoothstep(VIGNETTE_START, 1, r);
+    stops.push(`rgba(0, 0, 0, ${alpha.toFixed(4)}) ${(r * 100).toFixed(1)}%`);
+  }
+  return `radial-gradient(farthest-corner at 50% 50%, transparent ${VIGNETTE_START * 100}%, ${stops.join(', ')})`;
+}
+
+export {
+  DITHER_MODES, POST_GLSL, BLUE_NOISE_SIZE,
+  hasPost, applyPost, grainFrame, blueNoiseTile, blueNoiseOffset, drawGrainCells, vignetteGradient,
+};
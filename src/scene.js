@@ -0,0 +1,634 @@
+/**
+ * Scene documents.
+ * A scene is a versioned JSON snapshot of everything the editor can tune:
+ * renderer settings plus the Export section options. Older documents are
+ * migrated forward and every value is validated before it touches the renderer.
+ */
+
+import {
+  renderer, SHAPE_TYPES, MOTION_TYPES, BLEND_MODES, EASINGS, KEYFRAME_PROPS, MIN_GRADIENT_STOPS, MAX_GRADIENT_STOPS,
+  PATH_EXTENT, createDefaultSettings, createLayer,
+} from './aurora.js';
+import {
+  LAYER_SLIDERS, FLOW_SLIDERS, BLOB_SLIDERS, FINISH_RANGES, BLUR_RANGE, DURATION_RANGE, refreshControls, showNotice,
+} from './controls.js';
+import { DITHER_MODES } from './post.js';
+import { MEDIA_TYPES, addSource, sourceUrl } from './media.js';
+import {
+  OVERLAY_TYPES, OVERLAY_ANIMATIONS, OVERLAY_ALIGNS, OVERLAY_WEIGHTS, OVERLAY_FONTS, OVERLAY_SLIDERS, MAX_TEXT_LENGTH,
+  createOverlay,
+} from './overlays.js';
+import {
+  getExportOptions, getExportChoices, applyExportOptions, parseResolution, RESOLUTION_LIMITS, downloadBlob,
+} from './exporter.js';
+
+const SCENE_FORMAT = 'background-maker-scene';
+export const SCENE_VERSION = 2;
+
+// ── Migrations ──
+// Each entry upgrades a document from version N to N + 1.
+
+// v1 stored up to six layers as parallel arrays; these are its defaults,
+// needed to expand documents that only recorded changed values.
+const V1_LAYER_ARRAYS = {
+  layerColors: 'color',
+  layerShapes: 'shape',
+  layerMotions: 'motion',
+  layerCycles: 'cycles',
+  layerMotionRanges: 'range',
+  layerOpacities: 'opacity',
+  layerScaleRanges: 'scale',
+};
+
+const V1_LAYER_DEFAULTS = {
+  color: ['#7c7cff', '#3b82f6', '#a855f7', '#22d3ee', '#f472b6', '#34d399'],
+  shape: Array(6).fill('circle'),
+  motion: Array(6).fill('lissajous'),
+  cycles: [1, 2, 1, 3, 2, 1],
+  range: Array(6).fill(250),
+  opacity: Array(6).fill(0.75),
+  scale: Array(6).fill(1.4),
+};
+
+// v1 took orbits from this fixed table by layer index
+const V1_ORBITS = [
+  { phaseX: 0.0, phaseY: 0.3, dirX: 1, dirY: 1 },
+  { phaseX: 0.5, phaseY: 0.8, dirX: -1, dirY: 1 },
+  { phaseX: 0.2, phaseY: 0.6, dirX: 1, dirY: -1 },
+  { phaseX: 0.7, phaseY: 0.1, dirX: -1, dirY: -1 },
+  { phaseX: 0.4, phaseY: 0.9, dirX: 1, dirY: -1 },
+  { phaseX: 0.9, phaseY: 0.4, dirX: -1, dirY: 1 },
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const MIGRATIONS = {
+  // v0: a bare renderer.settings dump without the versioned wrapper
+  0: (doc) => ({
+    format: SCENE_FORMAT,
+    version: 1,
+    settings: doc,
+    export: {},
+  }),
+
+  // v1 → v2: per-layer arrays become layer objects with ids (L1, L2, …).
+  // Seeds equal the old indices, so positions and blob outlines are unchanged.
+  1: (doc) => {
+    if (!isPlainObject(doc.settings)) return { ...doc, version: 2 };
+    const { layerCount = 4, keyframes, ...rest } = doc.settings;
+    if (!Number.isInteger(layerCount) || layerCount < 1 || layerCount > V1_ORBITS.length) {
+      throw new Error(`settings.layerCount must be an integer between 1 and ${V1_ORBITS.length} (got ${describe(layerCount)})`);
+    }
+
+    const layers = Array.from({ length: layerCount }, (_, i) => ({
+      id: `L${i + 1}`,
+      seed: i,
+      orbit: { ...V1_ORBITS[i] },
+    }));
+    for (const [arrayKey, prop] of Object.entries(V1_LAYER_ARRAYS)) {
+      const arr = rest[arrayKey];
+      delete rest[arrayKey];
+      if (arr !== undefined && !Array.isArray(arr)) {
+        throw new Error(`settings.${arrayKey} must be an array`);
+      }
+      layers.forEach((layer, i) => {
+        layer[prop] = arr?.[i] ?? V1_LAYER_DEFAULTS[prop][i];
+      });
+    }
+
+    const settings = { ...rest, layers };
+    if (keyframes !== undefined) {
+      // 'layerColors.2' → 'L3.color'; tracks of hidden layers had no effect
+      settings.keyframes = keyframes;
+      if (isPlainObject(keyframes)) {
+        settings.keyframes = {};
+        for (const [path, track] of Object.entries(keyframes)) {
+          const [arrayKey, index] = path.split('.');
+          if (!(arrayKey in V1_LAYER_ARRAYS)) {
+            settings.keyframes[path] = track;
+          } else if (Number(index) < layerCount) {
+            settings.keyframes[`L${Number(index) + 1}.${V1_LAYER_ARRAYS[arrayKey]}`] = track;
+          }
+        }
+      }
+    }
+    return { ...doc, version: 2, settings };
+  },
+};
+
+function migrateScene(doc) {
+  let version = doc.format === SCENE_FORMAT ? doc.version : 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unrecognized scene version: ${JSON.stringify(doc.version)}`);
+  }
+  if (version > SCENE_VERSION) {
+    throw new Error(`Scene version ${version} is newer than this editor supports (${SCENE_VERSION})`);
+  }
+  while (version < SCENE_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version = doc.version;
+  }
+  return doc;
+}
+
+// ── Validation ──
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function describe(value) {
+  return JSON.stringify(value) ?? String(value);
+}
+
+function checkNumber(errors, path, value, min, max, integer = false) {
+  const ok = typeof value === 'number' && Number.isFinite(value)
+    && value >= min && value <= max && (!integer || Number.isInteger(value));
+  if (!ok) {
+    const kind = integer ? 'an integer' : 'a number';
+    errors.push(`${path} must be ${kind} between ${min} and ${max} (got ${describe(value)})`);
+  }
+}
+
+function checkOneOf(errors, path, value, allowed) {
+  if (!allowed.includes(value)) {
+    errors.push(`${path} must be one of ${allowed.join(', ')} (got ${describe(value)})`);
+  }
+}
+
+function checkColor(errors, path, value) {
+  if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+    errors.push(`${path} must be a #rrggbb color (got ${describe(value)})`);
+  }
+}
+
+// Layer properties and the check applied to each
+const LAYER_FIELDS = [
+  { key: 'color', check: checkColor },
+  { key: 'shape', check: (e, p, v) => checkOneOf(e, p, v, Object.values(SHAPE_TYPES)) },
+  { key: 'motion', check: (e, p, v) => checkOneOf(e, p, v, Object.values(MOTION_TYPES)) },
+  { key: 'locked', check: (e, p, v) => checkOneOf(e, p, v, [true, false]) },
+  { key: 'blendMode', check: (e, p, v) => { if (v !== null) checkOneOf(e, p, v, BLEND_MODES); } },
+  ...LAYER_SLIDERS.map(sl => ({
+    key: sl.prop,
+    check: (e, p, v) => checkNumber(e, p, v, sl.min, sl.max, sl.step === 1),
+  })),
+];
+
+const LAYER_ID = /^[A-Za-z0-9_-]{1,32}$/;
+
+function checkOrbit(errors, path, orbit) {
+  if (!isPlainObject(orbit)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkNumber(errors, `${path}.phaseX`, orbit.phaseX, 0, 1);
+  checkNumber(errors, `${path}.phaseY`, orbit.phaseY, 0, 1);
+  checkOneOf(errors, `${path}.dirX`, orbit.dirX, [-1, 1]);
+  checkOneOf(errors, `${path}.dirY`, orbit.dirY, [-1, 1]);
+}
+
+// Grouped layer settings with a seed plus slider fields
+const SEEDED_GROUPS = [
+  { key: 'flow', sliders: FLOW_SLIDERS },
+  { key: 'blob', sliders: BLOB_SLIDERS },
+];
+
+function checkSeededGroup(errors, path, group, sliders) {
+  if (!isPlainObject(group)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+  checkNumber(errors, `${path}.seed`, group.seed, 0, Number.MAX_SAFE_INTEGER, true);
+  const copy = { seed: group.seed };
+  for (const sl of sliders) {
+    checkNumber(errors, `${path}.${sl.prop}`, group[sl.prop], sl.min, sl.max, sl.step === 1);
+    copy[sl.prop] = group[sl.prop];
+  }
+  return copy;
+}
+
+function checkGradient(errors, path, gradient) {
+  if (!isPlainObject(gradient)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+  checkNumber(errors, `${path}.softness`, gradient.softness, 0, 1);
+  const { stops } = gradient;
+  if (!Array.isArray(stops) || stops.length < MIN_GRADIENT_STOPS || stops.length > MAX_GRADIENT_STOPS) {
+    errors.push(`${path}.stops must be an array of ${MIN_GRADIENT_STOPS}–${MAX_GRADIENT_STOPS} stops`);
+    return null;
+  }
+  return {
+    softness: gradient.softness,
+    stops: stops.map((stop, k) => {
+      const where = `${path}.stops[${k}]`;
+      if (!isPlainObject(stop)) {
+        errors.push(`${where} must be an object`);
+        return null;
+      }
+      checkNumber(errors, `${where}.pos`, stop.pos, 0, 1);
+      checkNumber(errors, `${where}.alpha`, stop.alpha, 0, 1);
+      // null follows the layer color
+      if (stop.color !== null) checkColor(errors, `${where}.color`, stop.color);
+      return { pos: stop.pos, color: stop.color, alpha: stop.alpha };
+    }),
+  };
+}
+
+// Bezier path nodes are offsets in scene fractions, up to PATH_EXTENT either way
+const PATH_NODE_FIELDS = ['x', 'y', 'inX', 'inY', 'outX', 'outY'];
+const PATH_NODES = { min: 3, max: 64 };
+
+function checkPath(errors, path, nodes) {
+  if (!Array.isArray(nodes) || nodes.length < PATH_NODES.min || nodes.length > PATH_NODES.max) {
+    errors.push(`${path} must be null or an array of ${PATH_NODES.min}–${PATH_NODES.max} nodes`);
+    return null;
+  }
+  return nodes.map((node, k) => {
+    if (!isPlainObject(node)) {
+      errors.push(`${path}[${k}] must be an object`);
+      return null;
+    }
+    const copy = {};
+    for (const field of PATH_NODE_FIELDS) {
+      checkNumber(errors, `${path}[${k}].${field}`, node[field], -PATH_EXTENT, PATH_EXTENT);
+      copy[field] = node[field];
+    }
+    return copy;
+  });
+}
+
+function checkMedia(errors, path, media) {
+  if (!isPlainObject(media)) {
+    errors.push(`${path} must be null or a { type, src, name } object`);
+    return null;
+  }
+  checkOneOf(errors, `${path}.type`, media.type, Object.values(MEDIA_TYPES));
+  if (typeof media.src !== 'string' || !media.src.startsWith(`data:${media.type}/`)) {
+    errors.push(`${path}.src must be a data:${media.type}/ URL`);
+  }
+  if (typeof media.name !== 'string') errors.push(`${path}.name must be a string`);
+  return { type: media.type, src: media.src, name: media.name };
+}
+
+/**
+ * Validate settings.layers. Missing layer properties fall back to the
+ * defaults of a new layer; ids must be unique.
+ */
+function validateLayers(errors, src) {
+  if (!Array.isArray(src) || src.length === 0) {
+    errors.push('settings.layers must be a non-empty array');
+    return null;
+  }
+
+  const layers = [];
+  const unnamed = new Set(); // layers without an id, numbered once every named one is known
+  src.forEach((raw, i) => {
+    const where = `settings.layers[${i}]`;
+    if (!isPlainObject(raw)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    const props = {};
+    if ('seed' in raw) {
+      checkNumber(errors, `${where}.seed`, raw.seed, 0, Number.MAX_SAFE_INTEGER, true);
+      props.seed = raw.seed;
+    }
+    if ('id' in raw) {
+      if (typeof raw.id !== 'string' || !LAYER_ID.test(raw.id)) {
+        errors.push(`${where}.id must be 1–32 letters, digits, "-" or "_" (got ${describe(raw.id)})`);
+      } else if (layers.some(l => l.id === raw.id && !unnamed.has(l))) {
+        errors.push(`${where}.id "${raw.id}" is used by another layer`);
+      }
+      props.id = raw.id;
+    }
+    if ('orbit' in raw) {
+      checkOrbit(errors, `${where}.orbit`, raw.orbit);
+      props.orbit = raw.orbit;
+    }
+    if (raw.anchor != null) {
+      if (isPlainObject(raw.anchor)) {
+        checkNumber(errors, `${where}.anchor.x`, raw.anchor.x, 0, 1);
+        checkNumber(errors, `${where}.anchor.y`, raw.anchor.y, 0, 1);
+        props.anchor = { x: raw.anchor.x, y: raw.anchor.y };
+      } else {
+        errors.push(`${where}.anchor must be null or an { x, y } object`);
+      }
+    }
+    for (const { key, sliders } of SEEDED_GROUPS) {
+      if (key in raw) props[key] = checkSeededGroup(errors, `${where}.${key}`, raw[key], sliders);
+    }
+    if ('gradient' in raw) props.gradient = checkGradient(errors, `${where}.gradient`, raw.gradient);
+    if (raw.path != null) props.path = checkPath(errors, `${where}.path`, raw.path);
+    if (raw.media != null) props.media = checkMedia(errors, `${where}.media`, raw.media);
+    for (const { key, check } of LAYER_FIELDS) {
+      if (!(key in raw)) continue;
+      check(errors, `${where}.${key}`, raw[key]);
+      props[key] = raw[key];
+    }
+    const layer = createLayer(layers, props);
+    if (!('id' in raw)) unnamed.add(layer);
+    layers.push(layer);
+  });
+
+  // Number unnamed layers past every named id, so a later layer's id is never taken
+  let next = Math.max(0, ...layers.filter(l => !unnamed.has(l)).map(l => parseInt(String(l.id).slice(1)) || 0));
+  for (const layer of unnamed) layer.id = `L${++next}`;
+  return layers;
+}
+
+// Overlay properties and the check applied to each, by overlay type
+const OVERLAY_COMMON_FIELDS = [
+  { key: 'animation', check: (e, p, v) => checkOneOf(e, p, v, OVERLAY_ANIMATIONS) },
+  ...OVERLAY_SLIDERS.map(sl => ({ key: sl.prop, check: (e, p, v) => checkNumber(e, p, v, sl.min, sl.max) })),
+];
+const OVERLAY_FIELDS = {
+  [OVERLAY_TYPES.text]: [
+    ...OVERLAY_COMMON_FIELDS,
+    {
+      key: 'text',
+      check: (e, p, v) => {
+        if (typeof v !== 'string' || v.length > MAX_TEXT_LENGTH) {
+          e.push(`${p} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+        }
+      },
+    },
+    { key: 'font', check: (e, p, v) => checkOneOf(e, p, v, Object.keys(OVERLAY_FONTS)) },
+    { key: 'weight', check: (e, p, v) => checkOneOf(e, p, v, OVERLAY_WEIGHTS) },
+    { key: 'color', check: checkColor },
+    { key: 'align', check: (e, p, v) => checkOneOf(e, p, v, OVERLAY_ALIGNS) },
+  ],
+  [OVERLAY_TYPES.image]: [
+    ...OVERLAY_COMMON_FIELDS,
+    {
+      key: 'src',
+      check: (e, p, v) => {
+        if (v !== null && (typeof v !== 'string' || !v.startsWith('data:image/'))) {
+          e.push(`${p} must be null or a data:image/ URL`);
+        }
+      },
+    },
+    { key: 'name', check: (e, p, v) => { if (typeof v !== 'string') e.push(`${p} must be a string`); } },
+  ],
+};
+
+const OVERLAY_ID = /^O\d{1,6}$/;
+
+/**
+ * Validate settings.overlays. Missing properties fall back to the defaults
+ * of a new overlay of the same type; ids must be unique.
+ */
+function validateOverlays(errors, src) {
+  if (!Array.isArray(src)) {
+    errors.push('settings.overlays must be an array');
+    return null;
+  }
+
+  const overlays = [];
+  src.forEach((raw, i) => {
+    const where = `settings.overlays[${i}]`;
+    if (!isPlainObject(raw)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!Object.values(OVERLAY_TYPES).includes(raw.type)) {
+      errors.push(`${where}.type must be one of ${Object.values(OVERLAY_TYPES).join(', ')} (got ${describe(raw.type)})`);
+      return;
+    }
+
+    const props = {};
+    if ('id' in raw) {
+      if (typeof raw.id !== 'string' || !OVERLAY_ID.test(raw.id)) {
+        errors.push(`${where}.id must be "O" followed by a number (got ${describe(raw.id)})`);
+      } else if (overlays.some(o => o.id === raw.id)) {
+        errors.push(`${where}.id "${raw.id}" is used by another overlay`);
+      }
+      props.id = raw.id;
+    }
+    for (const { key, check } of OVERLAY_FIELDS[raw.type]) {
+      if (!(key in raw)) continue;
+      check(errors, `${where}.${key}`, raw[key]);
+      props[key] = raw[key];
+    }
+    overlays.push(createOverlay(overlays, raw.type, props));
+  });
+  return overlays;
+}
+
+const MAX_KEYFRAMES = 64; // per track
+
+// Value check for a keyframe track, matching the property's own range
+function keyframeValueCheck(key) {
+  if (KEYFRAME_PROPS[key].type === 'color') return checkColor;
+  if (key === 'blur') return (e, p, v) => checkNumber(e, p, v, BLUR_RANGE.min, BLUR_RANGE.max);
+  const sl = LAYER_SLIDERS.find(s => s.prop === key);
+  return (e, p, v) => checkNumber(e, p, v, sl.min, sl.max);
+}
+
+/** Validate settings.keyframes against the scene's layers; returns the tracks sorted by t. */
+function validateKeyframes(errors, src, layers) {
+  const keyframes = {};
+  if (src === null || typeof src !== 'object' || Array.isArray(src)) {
+    errors.push('settings.keyframes must be an object');
+    return keyframes;
+  }
+
+  for (const [path, track] of Object.entries(src)) {
+    const where = `settings.keyframes["${path}"]`;
+    const parts = path.split('.');
+    const [layerId, key] = parts.length === 2 ? parts : [null, path];
+    const prop = KEYFRAME_PROPS[key];
+    if (parts.length > 2 || !prop || prop.layer !== (layerId !== null)) {
+      errors.push(`${where} is not an animatable property`);
+      continue;
+    }
+    if (layerId !== null && !layers.some(l => l.id === layerId)) {
+      errors.push(`${where} refers to a layer that doesn't exist`);
+      continue;
+    }
+    if (!Array.isArray(track) || track.length > MAX_KEYFRAMES) {
+      errors.push(`${where} must be an array of at most ${MAX_KEYFRAMES} keyframes`);
+      continue;
+    }
+    const checkValue = keyframeValueCheck(key);
+    track.forEach((kf, i) => {
+      if (kf === null || typeof kf !== 'object') {
+        errors.push(`${where}[${i}] must be an object`);
+        return;
+      }
+      checkNumber(errors, `${where}[${i}].t`, kf.t, 0, 1);
+      checkValue(errors, `${where}[${i}].value`, kf.value);
+      checkOneOf(errors, `${where}[${i}].ease`, kf.ease, Object.keys(EASINGS));
+    });
+    if (track.length) {
+      keyframes[path] = track.map(({ t, value, ease }) => ({ t, value, ease })).sort((a, b) => a.t - b.t);
+    }
+  }
+  return keyframes;
+}
+
+/**
+ * Validate a migrated document and merge it over the defaults.
+ * Missing keys fall back to defaults; present but invalid values are errors.
+ * @returns {{settings: object, export: object}}
+ */
+function validateScene(doc) {
+  const errors = [];
+  const src = doc.settings;
+  if (src === null || typeof src !== 'object' || Array.isArray(src)) {
+    throw new Error('Invalid scene: "settings" must be an object');
+  }
+
+  const settings = createDefaultSettings();
+
+  if ('bgColor' in src) checkColor(errors, 'settings.bgColor', src.bgColor);
+  if ('blendMode' in src) checkOneOf(errors, 'settings.blendMode', src.blendMode, BLEND_MODES);
+  if ('blur' in src) checkNumber(errors, 'settings.blur', src.blur, BLUR_RANGE.min, BLUR_RANGE.max);
+  if ('loopDuration' in src) {
+    // Stored in ms, but the panel only edits whole seconds
+    checkNumber(errors, 'settings.loopDuration', src.loopDuration / 1000, DURATION_RANGE.min, DURATION_RANGE.max, true);
+  }
+
+  for (const { key, min, max } of FINISH_RANGES) {
+    if (key in src) checkNumber(errors, `settings.${key}`, src[key], min, max);
+  }
+  if ('dither' in src) checkOneOf(errors, 'settings.dither', src.dither, DITHER_MODES);
+
+  for (const key of ['bgColor', 'blendMode', 'blur', 'loopDuration', ...FINISH_RANGES.map(r => r.key), 'dither']) {
+    if (key in src) settings[key] = src[key];
+  }
+
+  if ('layers' in src) settings.layers = validateLayers(errors, src.layers) ?? settings.layers;
+  if ('keyframes' in src) settings.keyframes = validateKeyframes(errors, src.keyframes, settings.layers);
+  if ('overlays' in src) settings.overlays = validateOverlays(errors, src.overlays) ?? settings.overlays;
+
+  const exportOptions = {};
+  const exp = doc.export ?? {};
+  if (typeof exp !== 'object' || Array.isArray(exp)) {
+    errors.push('export must be an object');
+  } else {
+    if ('resolution' in exp) {
+      if (parseResolution(exp.resolution)) {
+        exportOptions.resolution = exp.resolution;
+      } else {
+        const { min, max } = RESOLUTION_LIMITS;
+        errors.push(`export.resolution must be "WIDTHxHEIGHT" with even sizes between ${min} and ${max} (got ${describe(exp.resolution)})`);
+      }
+    }
+    const choices = getExportChoices();
+    for (const key of Object.keys(choices)) {
+      if (!(key in exp)) continue;
+      checkOneOf(errors, `export.${key}`, exp[key], choices[key]);
+      exportOptions[key] = exp[key];
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid scene:\n- ${errors.join('\n- ')}`);
+  }
+  // Files move into the media library; settings keep their source ids
+  for (const layer of settings.layers) {
+    if (layer.media) {
+      const { src, ...media } = layer.media;
+      layer.media = { ...media, source: addSource(src) };
+    }
+  }
+  settings.overlays = settings.overlays.map(({ src, ...overlay }) => (
+    src === undefined ? overlay : { ...overlay, source: src && addSource(src) }));
+  return { settings, export: exportOptions };
+}
+
+// ── Public API ──
+
+/**
+ * Snapshot the current editor state as a scene document.
+ * @param {{withMedia?: boolean}} [options] withMedia: false leaves out
+ *   uploaded files (image layer sources, overlay images), e.g. for a shareable link
+ */
+export function serializeScene({ withMedia = true } = {}) {
+  const settings = structuredClone(renderer.settings);
+  // Settings refer to uploaded files by source id; the document carries the data
+  for (const layer of settings.layers) {
+    if (!layer.media) continue;
+    const { source, ...media } = layer.media;
+    layer.media = withMedia ? { ...media, src: sourceUrl(source) } : null;
+  }
+  settings.overlays = settings.overlays.map(({ source, ...overlay }) => (
+    source === undefined ? overlay : { ...overlay, src: withMedia && source ? sourceUrl(source) : null }));
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    settings,
+    export: getExportOptions(),
+  };
+}
+
+/** Whether the scene holds uploaded files that serializeScene({ withMedia: false }) leaves out. */
+export function hasUploadedMedia(settings) {
+  return settings.layers.some(l => l.media) || settings.overlays.some(o => o.source);
+}
+
+/**
+ * Parse, migrate and validate a scene document.
+ * @param {string|object} input JSON text or an already-parsed object
+ * @returns {{settings: object, export: object}}
+ * @throws {Error} with a readable message listing every problem found
+ */
+export function parseScene(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Scene is not valid JSON: ${err.message}`);
+    }
+  }
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Scene must be a JSON object');
+  }
+  return validateScene(migrateScene(doc));
+}
+
+/** Replace the editor state with a parsed scene and rebuild the panel. */
+export function applyScene(scene) {
+  renderer.updateSettings(scene.settings);
+  applyExportOptions(scene.export);
+  refreshControls();
+}
+
+// ═══════════════════════════════════════════
+// Save / load buttons
+// ═══════════════════════════════════════════
+
+const saveBtn = document.getElementById('scene-save');
+const loadBtn = document.getElementById('scene-load');
+const fileInput = document.getElementById('scene-file');
+
+/** Download the current scene as a .json file. */
+export function saveSceneFile() {
+  const json = JSON.stringify(serializeScene(), null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), 'background-scene.json');
+}
+
+/** Ask the user for a scene file to load. */
+export function openSceneFile() {
+  fileInput.click();
+}
+
+saveBtn.addEventListener('click', saveSceneFile);
+loadBtn.addEventListener('click', openSceneFile);
+
+fileInput.addEventListener('change', async () => {
+  const file = fileInput.files[0];
+  fileInput.value = ''; // allow re-selecting the same file
+  if (!file) return;
+  try {
+    applyScene(parseScene(await file.text()));
+    showNotice(`Loaded ${file.name}`);
+  } catch (err) {
+    console.error('Scene load failed:', err);
+    showNotice(err.message, 'error');
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Shareable links.
+ * Keeps the whole scene encoded in the URL hash so a copied link reopens
+ * the editor in exactly the same state. Only values that differ from the
+ * defaults are stored, which keeps typical links short. Uploaded files
+ * would make a link far too long, so links leave them out; the scene file
+ * keeps them.
+ */
+
+import { renderer, createDefaultSettings } from './aurora.js';
+import { showNotice } from './controls.js';
+import { SCENE_VERSION, serializeScene, hasUploadedMedia, parseScene, applyScene } from './scene.js';
+
+const HASH_PREFIX = '#scene=';
+const WRITE_DELAY_MS = 400;
+
+// ── Encoding ──
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0)));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Encode the current scene as a compact hash string (including the leading '#'). */
+export function encodeSceneHash() {
+  const doc = serializeScene({ withMedia: false });
+  const defaults = createDefaultSettings();
+  const diff = {};
+  for (const [key, value] of Object.entries(doc.settings)) {
+    if (!sameValue(value, defaults[key])) diff[key] = value;
+  }
+  return HASH_PREFIX + toBase64Url(JSON.stringify({ v: doc.version, s: diff, e: doc.export }));
+}
+
+/**
+ * Decode a hash produced by encodeSceneHash() into a validated scene.
+ * @throws {Error} when the hash is corrupt, invalid or from a newer version
+ */
+export function decodeSceneHash(hash) {
+  let packed;
+  try {
+    packed = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+  } catch (_) {
+    throw new Error('The link is damaged and could not be decoded');
+  }
+  if (packed === null || typeof packed !== 'object') {
+    throw new Error('The link is damaged and could not be decoded');
+  }
+  return parseScene({
+    format: 'background-maker-scene',
+    version: packed.v ?? SCENE_VERSION,
+    settings: packed.s ?? {},
+    export: packed.e ?? {},
+  });
+}
+
+// ── Sync ──
+
+let writeTimeout = null;
+let mediaNoticeShown = false; // once per scene that gains uploaded files
+
+function scheduleHashWrite() {
+  clearTimeout(writeTimeout);
+  writeTimeout = setTimeout(() => {
+    try {
+      // replaceState: keep edits out of the back/forward history
+      history.replaceState(null, '', encodeSceneHash());
+    } catch (err) {
+      console.error('Scene link update failed:', err);
+      showNotice(`The link could not be updated.\n${err.message}`, 'error');
+      return;
+    }
+    const hasMedia = hasUploadedMedia(renderer.settings);
+    if (hasMedia && !mediaNoticeShown) {
+      showNotice('The link leaves out uploaded images and videos. Save the scene file to keep them.');
+    }
+    mediaNoticeShown = hasMedia;
+  }, WRITE_DELAY_MS);
+}
+
+/**
+ * Apply the scene in location.hash, if any.
+ * Corrupt or unsupported links leave the current scene (the defaults on
+ * startup) in place and show a warning.
+ */
+export function restoreSceneFromHash() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(HASH_PREFIX)) return;
+  try {
+    applyScene(decodeSceneHash(hash));
+  } catch (err) {
+    console.warn('Ignoring scene link:', err);
+    showNotice(`Link could not be opened, keeping the current scene.\n${err.message}`, 'error');
+  }
+}
+
+renderer.onChange(scheduleHashWrite);
+document.getElementById('section-export').addEventListener('change', scheduleHashWrite);
+window.addEventListener('hashchange', restoreSceneFromHash);
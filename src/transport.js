@@ -0,0 +1,102 @@
+/**
+ * Preview transport bar: play/pause, timeline scrubbing, frame stepping at
+ * the export fps, playback speed and the loop-seam view.
+ */
+
+import { renderer } from './aurora.js';
+import { getExportOptions } from './exporter.js';
+
+const bar = document.getElementById('transport');
+const playBtn = document.getElementById('transport-play');
+const prevBtn = document.getElementById('transport-prev');
+const nextBtn = document.getElementById('transport-next');
+const scrub = document.getElementById('transport-scrub');
+const timeLabel = document.getElementById('transport-time');
+const speedSelect = document.getElementById('transport-speed');
+const seamSelect = document.getElementById('transport-seam');
+const seamOverlay = document.getElementById('seam-overlay');
+
+let scrubbing = false;
+let resumeAfterScrub = false;
+
+/** Loop length the preview wraps at (renderFrame treats 0 as 10 s). */
+function loopMs() {
+  return renderer.settings.loopDuration || 10000;
+}
+
+/** Duration of one exported frame in ms. */
+function frameMs() {
+  return 1000 / getExportOptions().fps;
+}
+
+/**
+ * Pause and move by whole export frames, snapping to the frame grid so the
+ * preview shows exactly what the exporter would render.
+ */
+export function stepFrame(delta) {
+  renderer.pause();
+  const frame = frameMs();
+  const frames = Math.round(loopMs() / frame);
+  const index = Math.round(renderer.currentTime / frame) + delta;
+  renderer.seek((((index % frames) + frames) % frames) * frame);
+}
+
+function updateSeamView() {
+  const mode = seamSelect.value;
+  // The loop's last exported frame; the frame after it is t = 0
+  renderer.seamView = mode === 'off' ? null : { mode, lastTime: loopMs() - frameMs() };
+  seamOverlay.classList.toggle('hidden', mode === 'off');
+  seamOverlay.classList.toggle('split', mode === 'split');
+  seamOverlay.classList.toggle('diff', mode === 'diff');
+  scrub.disabled = mode !== 'off';
+}
+
+function updateTransport(time) {
+  const loop = loopMs();
+  bar.classList.toggle('paused', renderer.paused);
+  scrub.max = String(loop);
+  if (!scrubbing) scrub.value = String(time);
+  timeLabel.textContent = `${(time / 1000).toFixed(2)} / ${(loop / 1000).toFixed(2)}s`;
+}
+
+playBtn.addEventListener('click', () => renderer.togglePlayback());
+prevBtn.addEventListener('click', () => stepFrame(-1));
+nextBtn.addEventListener('click', () => stepFrame(1));
+
+function endScrub() {
+  if (!scrubbing) return;
+  scrubbing = false;
+  if (resumeAfterScrub) renderer.play();
+  resumeAfterScrub = false;
+}
+
+// Hold playback while dragging so the thumb doesn't fight the clock
+scrub.addEventListener('pointerdown', () => {
+  scrubbing = true;
+  resumeAfterScrub = !renderer.paused;
+  renderer.pause();
+});
+
+scrub.addEventListener('input', () => renderer.seek(parseFloat(scrub.value)));
+
+// A click that leaves the value as it was fires no change, so the release ends the scrub too,
+// wherever the pointer is by then
+scrub.addEventListener('change', endScrub);
+window.addEventListener('pointerup', endScrub);
+window.addEventListener('pointercancel', endScrub);
+
+speedSelect.addEventListener('change', () => {
+  renderer.playbackRate = parseFloat(speedSelect.value);
+});
+
+seamSelect.addEventListener('change', updateSeamView);
+
+// The seam frame depends on the loop length and export fps
+renderer.onChange(() => {
+  if (renderer.seamView) updateSeamView();
+});
+document.getElementById('fps').addEventListener('change', () => {
+  if (renderer.seamView) updateSeamView();
+});
+
+renderer.onFrame(updateTransport);
@@ -0,0 +1,615 @@
+/**
+ * WebGL2 rendering backend.
+ * Rasterizes a frame that BackgroundRenderer has already laid out: each
+ * layer's gradient is drawn as a quad (or a fan for blob outlines) into its
+ * own texture, or its image or video frame as a textured quad, blurred, then composited onto the scene by a shader that
+ * implements every Canvas 2D composite operation. The global blur is a
+ * separable gaussian pass over the result.
+ *
+ * Everything runs at a working resolution where the global blur spans
+ * TARGET_SIGMA texels, and the blurred scene is scaled up to the output
+ * size at the end, so the cost stays flat from preview size up to 4K. The
+ * output pass also runs the post-processing of post.js.
+ */
+
+import { POST_GLSL, BLUE_NOISE_SIZE, grainFrame, blueNoiseTile, blueNoiseOffset } from './post.js';
+
+const MAX_STOPS = 10; // a ring mirrors up to 5 gradient stops
+const MAX_TAPS = 32; // blur samples on each side of the center
+const TARGET_SIGMA = 8; // global blur radius in working texels
+const BLOB_SEGMENTS = 12; // line segments per quadratic curve of a blob outline
+
+// ── Shaders ──
+
+const SCENE_VERTEX = `#version 300 es
+in vec2 aPos;
+uniform vec4 uArea; // x, y, width, height in scene units
+out vec2 vScene;
+void main() {
+  vScene = aPos;
+  // Scene y grows downward, so row 0 of every target is the top of the scene
+  gl_Position = vec4((aPos - uArea.xy) / uArea.zw * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const SHAPE_FRAGMENT = `#version 300 es
+precision highp float;
+#define MAX_STOPS ${MAX_STOPS}
+in vec2 vScene;
+uniform vec2 uCenter;
+uniform float uRadius;
+uniform float uInnerRadius;
+uniform float uAspect;
+uniform float uOpacity;
+uniform int uStopCount;
+uniform float uOffsets[MAX_STOPS];
+uniform vec4 uColors[MAX_STOPS]; // straight rgb and alpha, as Canvas interpolates them
+out vec4 outColor;
+
+vec4 gradientAt(float t) {
+  vec4 color = uColors[0];
+  for (int i = 1; i < MAX_STOPS; i++) {
+    if (i >= uStopCount) break;
+    if (t >= uOffsets[i]) {
+      color = uColors[i];
+      continue;
+    }
+    float span = uOffsets[i] - uOffsets[i - 1];
+    if (t > uOffsets[i - 1] && span > 0.0) color = mix(uColors[i - 1], uColors[i], (t - uOffsets[i - 1]) / span);
+    break;
+  }
+  return color;
+}
+
+void main() {
+  vec2 d = vScene - uCenter;
+  d.y /= uAspect;
+  float t = clamp((length(d) - uInnerRadius) / (uRadius - uInnerRadius), 0.0, 1.0);
+  vec4 color = gradientAt(t);
+  outColor = vec4(color.rgb * color.a, color.a) * uOpacity;
+}`;
+
+const MEDIA_FRAGMENT = `#version 300 es
+precision highp float;
+in vec2 vScene;
+uniform vec4 uBox; // left, top, width, height in scene units
+uniform float uOpacity;
+uniform sampler2D uMedia; // premultiplied, row 0 at the top
+out vec4 outColor;
+void main() {
+  outColor = texture(uMedia, (vScene - uBox.xy) / uBox.zw) * uOpacity;
+}`;
+
+const PASS_VERTEX = `#version 300 es
+in vec2 aPos;
+out vec2 vUv;
+void main() {
+  vUv = aPos * 0.5 + 0.5;
+  gl_Position = vec4(aPos, 0.0, 1.0);
+}`;
+
+const BLUR_FRAGMENT = `#version 300 es
+precision highp float;
+#define MAX_TAPS ${MAX_TAPS}
+in vec2 vUv;
+uniform sampler2D uTexture;
+uniform vec2 uStep; // uv distance between taps
+uniform float uSigma; // in taps
+uniform int uTaps;
+out vec4 outColor;
+void main() {
+  vec4 sum = texture(uTexture, vUv);
+  float total = 1.0;
+  for (int i = 1; i <= MAX_TAPS; i++) {
+    if (i > uTaps) break;
+    float weight = exp(-0.5 * float(i * i) / (uSigma * uSigma));
+    sum += weight * (texture(uTexture, vUv + uStep * float(i)) + texture(uTexture, vUv - uStep * float(i)));
+    total += 2.0 * weight;
+  }
+  outColor = sum / total;
+}`;
+
+// Compositing and blending as specified for Canvas 2D (W3C Compositing and
+// Blending Level 1), on premultiplied colors
+const COMPOSITE_FRAGMENT = `#version 300 es
+precision highp float;
+uniform sampler2D uDestination;
+uniform sampler2D uSource;
+uniform int uBlend;
+uniform vec2 uFa; // Fa = x + y * backdrop alpha
+uniform vec2 uFb; // Fb = x + y * source alpha
+uniform bool uLighter;
+out vec4 outColor;
+
+vec3 screen(vec3 b, vec3 s) { return b + s - b * s; }
+vec3 hardLight(vec3 b, vec3 s) { return mix(b * 2.0 * s, screen(b, 2.0 * s - 1.0), step(0.5, s)); }
+
+float colorDodge(float b, float s) {
+  if (b <= 0.0) return 0.0;
+  if (s >= 1.0) return 1.0;
+  return min(1.0, b / (1.0 - s));
+}
+
+float colorBurn(float b, float s) {
+  if (b >= 1.0) return 1.0;
+  if (s <= 0.0) return 0.0;
+  return 1.0 - min(1.0, (1.0 - b) / s);
+}
+
+float softLight(float b, float s) {
+  if (s <= 0.5) return b - (1.0 - 2.0 * s) * b * (1.0 - b);
+  float d = b <= 0.25 ? ((16.0 * b - 12.0) * b + 4.0) * b : sqrt(b);
+  return b + (2.0 * s - 1.0) * (d - b);
+}
+
+float lum(vec3 c) { return dot(c, vec3(0.3, 0.59, 0.11)); }
+
+vec3 clipColor(vec3 c) {
+  float l = lum(c);
+  float n = min(min(c.r, c.g), c.b);
+  float x = max(max(c.r, c.g), c.b);
+  if (n < 0.0) c = l + (c - l) * l / (l - n);
+  if (x > 1.0) c = l + (c - l) * (1.0 - l) / (x - l);
+  return c;
+}
+
+vec3 setLum(vec3 c, float l) { return clipColor(c + (l - lum(c))); }
+float sat(vec3 c) { return max(max(c.r, c.g), c.b) - min(min(c.r, c.g), c.b); }
+
+vec3 setSat(vec3 c, float s) {
+  float n = min(min(c.r, c.g), c.b);
+  float x = max(max(c.r, c.g), c.b);
+  return x > n ? (c - n) * s / (x - n) : vec3(0.0);
+}
+
+vec3 blend(vec3 b, vec3 s) {
+  switch (uBlend) {
+    case 1: return b * s;
+    case 2: return screen(b, s);
+    case 3: return hardLight(s, b);
+    case 4: return min(b, s);
+    case 5: return max(b, s);
+    case 6: return vec3(colorDodge(b.r, s.r), colorDodge(b.g, s.g), colorDodge(b.b, s.b));
+    case 7: return vec3(colorBurn(b.r, s.r), colorBurn(b.g, s.g), colorBurn(b.b, s.b));
+    case 8: return hardLight(b, s);
+    case 9: return vec3(softLight(b.r, s.r), softLight(b.g, s.g), softLight(b.b, s.b));
+    case 10: return abs(b - s);
+    case 11: return b + s - 2.0 * b * s;
+    case 12: return setLum(setSat(s, sat(b)), lum(b));
+    case 13: return setLum(setSat(b, sat(s)), lum(b));
+    case 14: return setLum(s, lum(b));
+    case 15: return setLum(b, lum(s));
+  }
+  return s;
+}
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  vec4 dst = texelFetch(uDestination, p, 0);
+  vec4 src = texelFetch(uSource, p, 0);
+  if (uLighter) {
+    outColor = min(src + dst, 1.0);
+    return;
+  }
+  vec3 cb = dst.a > 0.0 ? dst.rgb / dst.a : vec3(0.0);
+  vec3 cs = src.a > 0.0 ? src.rgb / src.a : vec3(0.0);
+  // Where the backdrop is transparent the source shows unblended
+  vec3 mixed = uBlend == 0 ? cs : mix(cs, clamp(blend(cb, cs), 0.0, 1.0), dst.a);
+  float fa = uFa.x + uFa.y * dst.a;
+  float fb = uFb.x + uFb.y * src.a;
+  outColor = clamp(vec4(fa * src.a * mixed + fb * dst.rgb, fa * src.a + fb * dst.a), 0.0, 1.0);
+}`;
+
+const OUTPUT_FRAGMENT = `#version 300 es
+precision highp float;
+precision highp int;
+in vec2 vUv;
+uniform sampler2D uTexture;
+uniform vec4 uCrop; // uv origin and size of the view within the working area
+uniform bool uPost;
+out vec4 outColor;
+${POST_GLSL}
+void main() {
+  // Rows run top-down in the targets but bottom-up on the canvas
+  vec4 color = texture(uTexture, uCrop.xy + vec2(vUv.x, 1.0 - vUv.y) * uCrop.zw);
+  if (uPost && color.a > 0.0) {
+    ivec2 pixel = ivec2(gl_FragCoord.x, uOutputSize.y - gl_FragCoord.y);
+    color.rgb = post(color.rgb / color.a, pixel) * color.a;
+  }
+  outColor = color;
+}`;
+
+// ── Composite operations ──
+
+const BLEND_IDS = {
+  'multiply': 1, 'screen': 2, 'overlay': 3, 'darken': 4, 'lighten': 5, 'color-dodge': 6,
+  'color-burn': 7, 'hard-light': 8, 'soft-light': 9, 'difference': 10, 'exclusion': 11,
+  'hue': 12, 'saturation': 13, 'color': 14, 'luminosity': 15,
+};
+
+// Porter-Duff factors as [constant, alpha coefficient] pairs
+const SOURCE_OVER = { fa: [1, 0], fb: [1, -1] };
+const PORTER_DUFF = {
+  'source-over': SOURCE_OVER,
+  'source-in': { fa: [0, 1], fb: [0, 0] },
+  'source-out': { fa: [1, -1], fb: [0, 0] },
+  'source-atop': { fa: [0, 1], fb: [1, -1] },
+  'destination-over': { fa: [1, -1], fb: [1, 0] },
+  'destination-in': { fa: [0, 0], fb: [0, 1] },
+  'destination-out': { fa: [0, 0], fb: [1, -1] },
+  'destination-atop': { fa: [1, -1], fb: [0, 1] },
+  'xor': { fa: [1, -1], fb: [1, -1] },
+  'copy': { fa: [1, 0], fb: [0, 0] },
+};
+
+// ── Backend ──
+
+function compileProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+    }
+    gl.attachShader(program, shader);
+  }
+  gl.bindAttribLocation(program, 0, 'aPos');
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+  const locations = new Map();
+  const uniform = (name) => {
+    if (!locations.has(name)) locations.set(name, gl.getUniformLocation(program, name));
+    return locations.get(name);
+  };
+  return { program, uniform };
+}
+
+/**
+ * Polygon of a blob outline: the closed quadratic curve BackgroundRenderer
+ * draws through the midpoints of its control points, as flat x, y pairs.
+ */
+function blobPolygon(points) {
+  const len = points.length;
+  const polygon = [];
+  let [x0, y0] = [(points[len - 1][0] + points[0][0]) / 2, (points[len - 1][1] + points[0][1]) / 2];
+  for (let j = 0; j < len; j++) {
+    const [cx, cy] = points[j];
+    const [nx, ny] = points[(j + 1) % len];
+    const x1 = (cx + nx) / 2;
+    const y1 = (cy + ny) / 2;
+    for (let k = 1; k <= BLOB_SEGMENTS; k++) {
+      const u = k / BLOB_SEGMENTS;
+      const a = (1 - u) * (1 - u);
+      const b = 2 * u * (1 - u);
+      const c = u * u;
+      polygon.push(a * x0 + b * cx + c * x1, a * y0 + b * cy + c * y1);
+    }
+    [x0, y0] = [x1, y1];
+  }
+  return polygon;
+}
+
+/** Triangles covering a layer's shape, in scene units. */
+function shapeTriangles(shape) {
+  const { cx, cy, radius, aspect, outline } = shape;
+  if (!outline) {
+    const x0 = cx - radius;
+    const x1 = cx + radius;
+    const y0 = cy - radius * aspect;
+    const y1 = cy + radius * aspect;
+    return new Float32Array([x0, y0, x1, y0, x0, y1, x0, y1, x1, y0, x1, y1]);
+  }
+  // The outline is star-shaped around the center, so a fan from it covers it exactly
+  const polygon = blobPolygon(outline);
+  const count = polygon.length / 2;
+  const triangles = new Float32Array(count * 6);
+  for (let i = 0; i < count; i++) {
+    const next = (i + 1) % count;
+    triangles.set([cx, cy, polygon[i * 2], polygon[i * 2 + 1], polygon[next * 2], polygon[next * 2 + 1]], i * 6);
+  }
+  return triangles;
+}
+
+export class WebGLBackend {
+  /** A backend drawing to its own canvas, or null when WebGL2 is unavailable. */
+  static create() {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2', { antialias: false, preserveDrawingBuffer: true });
+    return gl ? new WebGLBackend(canvas, gl) : null;
+  }
+
+  constructor(canvas, gl) {
+    this.canvas = canvas;
+    this.gl = gl;
+    this.lost = false; // set once the context is lost; the backend can't be used after that
+    canvas.addEventListener('webglcontextlost', (e) => {
+      e.preventDefault();
+      this.lost = true;
+    });
+
+    // Half-float targets keep slow gradients from banding through the blur passes
+    this._format = gl.getExtension('EXT_color_buffer_float')
+      ? { internal: gl.RGBA16F, type: gl.HALF_FLOAT }
+      : { internal: gl.RGBA8, type: gl.UNSIGNED_BYTE };
+    this._maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+
+    this._shape = compileProgram(gl, SCENE_VERTEX, SHAPE_FRAGMENT);
+    this._media = compileProgram(gl, SCENE_VERTEX, MEDIA_FRAGMENT);
+    this._blurPass = compileProgram(gl, PASS_VERTEX, BLUR_FRAGMENT);
+    this._composite = compileProgram(gl, PASS_VERTEX, COMPOSITE_FRAGMENT);
+    this._output = compileProgram(gl, PASS_VERTEX, OUTPUT_FRAGMENT);
+
+    // One triangle covering the viewport, for full-screen passes
+    this._passVao = gl.createVertexArray();
+    gl.bindVertexArray(this._passVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+    this._shapeVao = gl.createVertexArray();
+    this._shapeBuffer = gl.createBuffer();
+    gl.bindVertexArray(this._shapeVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._shapeBuffer);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+
+    this._targets = null; // { width, height, scene: [front, back], layer, temp }
+    this._blueNoise = null;
+    // Images are uploaded once; video frames go through one texture, refreshed per draw
+    this._imageTextures = new WeakMap();
+    this._videoTexture = null;
+  }
+
+  /**
+   * Render a frame and return the backend's canvas, sized width×height.
+   * @param {object} frame
+   * @param {number[]|null} frame.background 0–255 rgb, null for a transparent frame
+   * @param {object[]} frame.layers bottom first: shapeGeometry() plus blendMode and blur
+   * @param {number} frame.blur global blur in scene units
+   * @param {{x:number, y:number, width:number, height:number}} frame.view scene region to output
+   * @param {number} frame.width output width in pixels
+   * @param {number} frame.height output height in pixels
+   * @param {object} [frame.post] grain, grainSize, vignette, dither and time (ms) for post.js processing
+   */
+  render({ background, layers, blur, view, width, height, post = null }) {
+    const gl = this.gl;
+    if (this.lost || gl.isContextLost()) throw new Error('The WebGL context was lost');
+
+    // Working area: the view plus room for the blurs to pull in what lies beyond it
+    const pixelsPerUnit = width / view.width;
+    const pad = 3 * (blur + Math.max(0, ...layers.map(l => l.blur)));
+    let scale = pixelsPerUnit / Math.max(1, (blur * pixelsPerUnit) / TARGET_SIGMA);
+    scale = Math.min(scale, this._maxSize / (view.width + pad * 2), this._maxSize / (view.height + pad * 2));
+    const targetWidth = Math.max(1, Math.ceil((view.width + pad * 2) * scale));
+    const targetHeight = Math.max(1, Math.ceil((view.height + pad * 2) * scale));
+    const area = { x: view.x - pad, y: view.y - pad, width: targetWidth / scale, height: targetHeight / scale };
+    const targets = this._ensureTargets(targetWidth, targetHeight);
+
+    gl.disable(gl.BLEND);
+    gl.viewport(0, 0, targetWidth, targetHeight);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, targets.scene[0].framebuffer);
+    if (background) gl.clearColor(background[0] / 255, background[1] / 255, background[2] / 255, 1);
+    else gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    for (const layer of layers) {
+      this._drawShape(layer, area, targets.layer);
+      if (layer.blur > 0) this._blur(targets.layer, layer.blur * scale);
+      this._compositeLayer(layer.blendMode, targets);
+    }
+    this._blur(targets.scene[0], blur * scale);
+
+    // Scale the view's part of the scene up to the output
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, width, height);
+    const { program, uniform } = this._output;
+    gl.useProgram(program);
+    this._bindTexture(0, targets.scene[0].texture, uniform('uTexture'));
+    gl.uniform4f(uniform('uCrop'),
+      (view.x - area.x) / area.width, (view.y - area.y) / area.height,
+      view.width / area.width, view.height / area.height);
+    gl.uniform1i(uniform('uPost'), post ? 1 : 0);
+    if (post) this._setPostUniforms(post, width, height);
+    this._drawPass();
+    return this.canvas;
+  }
+
+  _setPostUniforms(post, width, height) {
+    const gl = this.gl;
+    const { uniform } = this._output;
+    const frame = grainFrame(post.time);
+    const [offsetX, offsetY] = blueNoiseOffset(frame);
+    gl.uniform2f(uniform('uOutputSize'), width, height);
+    gl.uniform1f(uniform('uGrain'), post.grain);
+    gl.uniform1f(uniform('uGrainSize'), post.grainSize);
+    gl.uniform1f(uniform('uVignette'), post.vignette);
+    gl.uniform1i(uniform('uDither'), post.dither === 'blue-noise' ? 1 : 0);
+    gl.uniform1ui(uniform('uFrame'), frame);
+    gl.uniform2i(uniform('uNoiseOffset'), offsetX, offsetY);
+    if (!this._blueNoise) {
+      this._blueNoise = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, this._blueNoise);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, BLUE_NOISE_SIZE, BLUE_NOISE_SIZE, 0, gl.RED, gl.FLOAT, blueNoiseTile());
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    }
+    this._bindTexture(1, this._blueNoise, uniform('uBlueNoise'));
+  }
+
+  _ensureTargets(width, height) {
+    const current = this._targets;
+    if (current?.width === width && current?.height === height) return current;
+    if (current) {
+      for (const target of [...current.scene, current.layer, current.temp]) {
+        this.gl.deleteFramebuffer(target.framebuffer);
+        this.gl.deleteTexture(target.texture);
+      }
+    }
+    const create = () => this._createTarget(width, height);
+    this._targets = { width, height, scene: [create(), create()], layer: create(), temp: create() };
+    return this._targets;
+  }
+
+  _createTarget(width, height) {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, this._format.internal, width, height, 0, gl.RGBA, this._format.type, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    return { texture, framebuffer, width, height };
+  }
+
+  _bindTexture(unit, texture, location) {
+    const gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.uniform1i(location, unit);
+  }
+
+  _drawPass() {
+    const gl = this.gl;
+    gl.bindVertexArray(this._passVao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  /** Draw one layer's gradient shape, or its media, into target, replacing its contents. */
+  _drawShape(shape, area, target) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (shape.media) {
+      this._drawMedia(shape, area);
+      return;
+    }
+    const { program, uniform } = this._shape;
+    gl.useProgram(program);
+
+    const stops = shape.stops.slice(0, MAX_STOPS);
+    const offsets = new Float32Array(MAX_STOPS);
+    const colors = new Float32Array(MAX_STOPS * 4);
+    stops.forEach(({ offset, rgb, alpha }, i) => {
+      offsets[i] = offset;
+      colors.set([rgb[0] / 255, rgb[1] / 255, rgb[2] / 255, alpha], i * 4);
+    });
+    gl.uniform4f(uniform('uArea'), area.x, area.y, area.width, area.height);
+    gl.uniform2f(uniform('uCenter'), shape.cx, shape.cy);
+    gl.uniform1f(uniform('uRadius'), shape.radius);
+    gl.uniform1f(uniform('uInnerRadius'), shape.innerRadius);
+    gl.uniform1f(uniform('uAspect'), shape.aspect);
+    gl.uniform1f(uniform('uOpacity'), shape.opacity);
+    gl.uniform1i(uniform('uStopCount'), stops.length);
+    gl.uniform1fv(uniform('uOffsets'), offsets);
+    gl.uniform4fv(uniform('uColors'), colors);
+
+    // Overlapping fan triangles write the same values, so no blending is needed
+    const triangles = shapeTriangles(shape);
+    gl.bindVertexArray(this._shapeVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._shapeBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, triangles, gl.DYNAMIC_DRAW);
+    gl.drawArrays(gl.TRIANGLES, 0, triangles.length / 2);
+  }
+
+  /** Draw an image or the current video frame over the shape's box. */
+  _drawMedia(shape, area) {
+    const gl = this.gl;
+    const { program, uniform } = this._media;
+    gl.useProgram(program);
+    const halfWidth = shape.radius;
+    const halfHeight = shape.radius * shape.aspect;
+    gl.uniform4f(uniform('uArea'), area.x, area.y, area.width, area.height);
+    gl.uniform4f(uniform('uBox'), shape.cx - halfWidth, shape.cy - halfHeight, halfWidth * 2, halfHeight * 2);
+    gl.uniform1f(uniform('uOpacity'), shape.opacity);
+    this._bindTexture(0, this._mediaTexture(shape.media), uniform('uMedia'));
+
+    const triangles = shapeTriangles(shape);
+    gl.bindVertexArray(this._shapeVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._shapeBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, triangles, gl.DYNAMIC_DRAW);
+    gl.drawArrays(gl.TRIANGLES, 0, triangles.length / 2);
+  }
+
+  /** Texture holding element's pixels, premultiplied and mipmapped like Canvas 2D downscaling. */
+  _mediaTexture(element) {
+    const gl = this.gl;
+    const video = element instanceof HTMLVideoElement;
+    let texture = video ? this._videoTexture : this._imageTextures.get(element);
+    if (texture && !video) return texture;
+    if (!texture) {
+      texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      if (video) this._videoTexture = texture;
+      else this._imageTextures.set(element, texture);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, element);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.generateMipmap(gl.TEXTURE_2D);
+    return texture;
+  }
+
+  /**
+   * Gaussian blur of target in place, sigma in texels: a horizontal pass into
+   * the temp target and a vertical one back. Wide blurs space their taps
+   * further apart instead of taking more of them.
+   */
+  _blur(target, sigma) {
+    if (sigma < 0.1) return;
+    const gl = this.gl;
+    const { temp } = this._targets;
+    const { program, uniform } = this._blurPass;
+    const reach = 3 * sigma;
+    const stride = Math.max(1, reach / MAX_TAPS);
+    gl.useProgram(program);
+    gl.uniform1f(uniform('uSigma'), sigma / stride);
+    gl.uniform1i(uniform('uTaps'), Math.ceil(reach / stride));
+
+    for (const [from, to, step] of [
+      [target, temp, [stride / target.width, 0]],
+      [temp, target, [0, stride / target.height]],
+    ]) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, to.framebuffer);
+      this._bindTexture(0, from.texture, uniform('uTexture'));
+      gl.uniform2f(uniform('uStep'), step[0], step[1]);
+      this._drawPass();
+    }
+  }
+
+  /** Composite the layer target onto the scene with a Canvas 2D composite operation. */
+  _compositeLayer(operation, targets) {
+    const gl = this.gl;
+    const { program, uniform } = this._composite;
+    const [front, back] = targets.scene;
+    const factors = PORTER_DUFF[operation] ?? SOURCE_OVER;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, back.framebuffer);
+    gl.useProgram(program);
+    this._bindTexture(0, front.texture, uniform('uDestination'));
+    this._bindTexture(1, targets.layer.texture, uniform('uSource'));
+    gl.uniform1i(uniform('uBlend'), BLEND_IDS[operation] ?? 0);
+    gl.uniform2f(uniform('uFa'), factors.fa[0], factors.fa[1]);
+    gl.uniform2f(uniform('uFb'), factors.fb[0], factors.fb[1]);
+    gl.uniform1i(uniform('uLighter'), operation === 'lighter' ? 1 : 0);
+    this._drawPass();
+    targets.scene = [back, front];
+  }
+}